@@ -16,14 +16,6 @@
 //
 // A simple viewing library for GMNX content.
 //
-// Currently does not support:
-//    - any differentiation between synthesized instruments
-//    - a concept of separate parts
-//    - more than one page view of SVG
-//    - view regions that are not based on existing element IDs
-//    - highlighting of graphical symbols that are not black-on-white
-//    - automatic scrolling for visibility
-//
 // See https://w3c.github.io/mnx/specification/ for details on GMNX.
 
 
@@ -86,429 +78,3687 @@ class MnxUtils {
             return (value < 1) ? new Rational(multiplier, 1 / value) : new Rational(multiplier * value, 1);
         }
     }
-}
 
-// Represents a view of a single SVG page in a score. The file is loaded into an
-// <iframe> in order to sandbox its content and ID namespace. The loading must take place
-// via AJAX into a blank frame, giving the iframe document the same origin as
-// the source document.
+    // Parse a pitch given as a note name such as "C4", "F#3" or "Bb2", or as a MIDI note number,
+    // returning the MIDI note number.
+    static parseNoteNumber(str) {
+        let m = String(str).trim().match(/^([A-Ga-g])(#*|b*)(-?\d+)$/);
+        if (m) {
+            let step = {c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11}[m[1].toLowerCase()];
+            let alter = (m[2][0] == '#') ? m[2].length : -m[2].length;
+            return 12 * (Number.parseInt(m[3]) + 1) + step + alter;
+        }
+        let number = Number.parseFloat(str);
+        return Number.isNaN(number) ? undefined : number;
+    }
 
-class GmnxView {
+    // Convert a frequency in Hz to a MIDI note number, which may be fractional.
+    static frequencyToMidi(frequency) {
+        return 69 + 12 * Math.log(frequency / 440) / Math.LN2;
+    }
 
-    constructor(element) {
-        // build the <iframe> DOM element used for display
-        this.element$ = $(element);
+    // Convert a MIDI note number, which may be fractional, to a frequency in Hz.
+    static midiToFrequency(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
 
-        this.element$.empty();
-        this.iframe$ = $('<iframe id="_gmnx_view" src="about:blank" width="1024px" height="1024px" frameborder="0"></iframe>');
-        this.element$.append(this.iframe$);
+    // Encode an audio buffer as a WAV file with 16-bit samples, returning an ArrayBuffer.
+    static encodeWav(audioBuffer) {
+        let channels = audioBuffer.numberOfChannels;
+        let frames = audioBuffer.length;
+        let data = new DataView(new ArrayBuffer(44 + frames * channels * 2));
+        let writeString = (offset, str) => {
+            for (let i = 0; i < str.length; i++) {
+                data.setUint8(offset + i, str.charCodeAt(i));
+            }
+        };
 
-        let iframe = this.iframe$[0];
-        this.frameDoc = iframe.document;
-        if (iframe.contentDocument)
-            this.frameDoc = iframe.contentDocument;
-        else if (iframe.contentWindow)
-            this.frameDoc = iframe.contentWindow.document;
+        writeString(0, 'RIFF');
+        data.setUint32(4, 36 + frames * channels * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        data.setUint32(16, 16, true);
+        data.setUint16(20, 1, true);
+        data.setUint16(22, channels, true);
+        data.setUint32(24, audioBuffer.sampleRate, true);
+        data.setUint32(28, audioBuffer.sampleRate * channels * 2, true);
+        data.setUint16(32, channels * 2, true);
+        data.setUint16(34, 16, true);
+        writeString(36, 'data');
+        data.setUint32(40, frames * channels * 2, true);
 
-        // Place some boilerplate HTML into the iframe, including a <div> where the SVG will live.
-        this.frameDoc.open();
-        this.frameDoc.write('<html><head></head><body><div id="content"></div></body></html>');
-        this.frameDoc.close();
+        let channelData = [];
+        for (let c = 0; c < channels; c++) {
+            channelData.push(audioBuffer.getChannelData(c));
+        }
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                let sample = Math.max(-1, Math.min(1, channelData[c][i]));
+                data.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+        return data.buffer;
     }
 
-    // Inline an SVG DOM from the given external URL.
-    // Returns a Promise which resolves once the material is displayed.
-    display(url) {
-        //     $(this.frameDoc.getElementById("content")).load(url, () => resolve());
-        let xhr = $.get({
-            url: url,
-            dataType: 'text',
-        });
-        xhr.then(data => {
-            this.load(data);
-        });
-        return xhr;
+    // Format a number for output, without the rounding noise of floating point arithmetic.
+    static formatNumber(number) {
+        return String(Number(number.toFixed(10)));
     }
 
-    // Load an SVG DOM from a string
-    load(data) {
-        this.frameDoc.getElementById("content").innerHTML = data;
+    // Parse a rectangle given as "x y width height", returning an object with those properties.
+    static parseRect(str) {
+        let values = str.trim().split(/[\s,]+/).map(Number.parseFloat);
+        return {x: values[0], y: values[1], width: values[2], height: values[3]};
     }
 
-    // Get an SVG element by ID within the DOM
-    getSvgElement(id) {
-        return this.frameDoc.getElementById(id);
+    // Parse a list of points given as in an SVG <polygon>, "x1,y1 x2,y2 ...", returning an
+    // array of objects with x and y properties.
+    static parsePoints(str) {
+        let values = str.trim().split(/[\s,]+/).map(Number.parseFloat);
+        let points = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            points.push({x: values[i], y: values[i + 1]});
+        }
+        return points;
     }
 
-    // Create a naked SVG element in the proper namespace with a given element name. The element
-    // is not yet placed in the DOM, but belongs to the document shown in the iFrame.
-    createSvgElement(name) {
-        return this.frameDoc.createElementNS(svgNS, name);
+    // Format a rectangle as "x y width height".
+    static formatRect(rect) {
+        return [rect.x, rect.y, rect.width, rect.height].map(MnxUtils.formatNumber).join(' ');
     }
-}
 
-// Represents a decoration within a GmnxView that can be displayed and/or hidden.
-// Decorations have their own independent SVG element spliced into the view's DOM,
-// whose geometry is based on the bounding box of an existing SVG element in the score.
-class GmnxViewDecoration {
-    constructor(performance, region) {
-        this.performance = performance;
-        this.view = region.view;
-        this.elementId = region.region;
-        this.rect = region.rect || this.svg.getBBox();
-        this.highlighted = false;
-        this.start = region.start;
-        this.end = region.end;
+    // Format a list of points as "x1,y1 x2,y2 ...".
+    static formatPoints(points) {
+        return points.map(p => MnxUtils.formatNumber(p.x) + ',' + MnxUtils.formatNumber(p.y)).join(' ');
     }
 
-    // Return the SVG element being decorated.
-    get svg() {
-        return this.view.getSvgElement(this.elementId);
+    // Parse one or more polylines separated by semicolons, each a list of points as for
+    // parsePoints, returning an array of arrays of points.
+    static parsePolylines(str) {
+        return str.split(';').map(MnxUtils.parsePoints).filter(points => points.length > 0);
     }
 
-    // Display this decoration, adding it to the DOM if necessary.
-    show() {
-        if (!this.highlightSvg$) {
-           this.highlightSvg$ = this.create();
-        }
+    // Format a list of polylines as "x1,y1 x2,y2 ...; x3,y3 x4,y4 ...".
+    static formatPolylines(polylines) {
+        return polylines.map(MnxUtils.formatPoints).join('; ');
+    }
 
-        if (!this.highlighted) {
-            $(this.svg.parentElement).append(this.highlightSvg$);
-            this.highlighted = true;
-        }
+    // Return the smallest rectangle containing a list of points.
+    static boundingRect(points) {
+        let xs = points.map(p => p.x);
+        let ys = points.map(p => p.y);
+        let x = Math.min(...xs);
+        let y = Math.min(...ys);
+        return {x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y};
+    }
 
-        return this;
+    // Determine whether a point lies within a rectangle or, if a list of points is given,
+    // within the polygon that they describe.
+    static containsPoint(shape, point) {
+        if (!Array.isArray(shape)) {
+            return point.x >= shape.x && point.x <= shape.x + shape.width
+                && point.y >= shape.y && point.y <= shape.y + shape.height;
+        }
+        let inside = false;
+        for (let i = 0, j = shape.length - 1; i < shape.length; j = i++) {
+            let a = shape[i];
+            let b = shape[j];
+            if ((a.y > point.y) != (b.y > point.y)
+                && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
     }
 
-    // Hide this decoration and remove it from the DOM.
-    hide() {
-        if (this.highlighted) {
-            this.highlightSvg$.remove();
-            this.highlighted = false;
+    // Parse an SVG length such as "612", "612px" or "8.5in", returning it in CSS pixels, or
+    // undefined if it is missing or a percentage.
+    static parseLength(str) {
+        let m = String(str || '').trim().match(/^([\d.]+)\s*(px|pt|pc|in|cm|mm)?$/);
+        if (m) {
+            let pixels = {px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4}[m[2] || 'px'];
+            return Number.parseFloat(m[1]) * pixels;
         }
+    }
 
-        return this;
+    // Return a list of objects sorted into the document order of the elements from which they
+    // were parsed, given by their sourceElement properties, followed by any objects without
+    // one, in their original order.
+    static inSourceOrder(items) {
+        let rank = item => item.sourceElement ? 0 : 1;
+        return items
+            .map((item, index) => ({item, index}))
+            .sort((a, b) => {
+                if (a.item.sourceElement && b.item.sourceElement) {
+                    return (a.item.sourceElement.compareDocumentPosition(b.item.sourceElement) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+                }
+                return (rank(a.item) - rank(b.item)) || (a.index - b.index);
+            })
+            .map(entry => entry.item);
     }
 
-    // Abstract method which creates the SVG for the decoration
-    create() {
+    // Resolve a possibly relative URL against a base URL.
+    static resolveUrl(url, base) {
+        return /^([a-z]+:|\/)/i.test(url) ? url : (base || '') + url;
     }
 }
 
-// Represents a region of the view which can be highlighted or in which a cursor may be displayed.
-// Displays as a transparent rectangle.
-class GmnxViewRegion extends GmnxViewDecoration {
-    create() {
-        return $(this.view.createSvgElement("rect"))
-            .attr("x", this.rect.x)
-            .attr("y", this.rect.y)
-            .attr("width", this.rect.width)
-            .attr("height", this.rect.height)
-            .attr("fill", "blue")
-            .attr("fill-opacity", "0.2");
+// Base class for objects that notify subscribers of named events. Each subscriber is
+// a callback that receives a payload object describing the event.
+class GmnxEmitter {
+    constructor() {
+        this.listeners = new Map();
     }
 
-}
+    // Subscribe a callback to a named event.
+    on(name, callback) {
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, []);
+        }
+        this.listeners.get(name).push(callback);
+        return this;
+    }
 
-// Represents a graphical symbol in the view which can be highlighted.
-// Displays as a rectangle which lightens colors in the score,
-// leaving white alone but changing black to a highlight color.
-class GmnxViewGraphic extends GmnxViewDecoration {
-    create() {
-        return $(this.view.createSvgElement("rect"))
-            .attr("x", this.rect.x)
-            .attr("y", this.rect.y)
-            .attr("width", this.rect.width)
-            .attr("height", this.rect.height)
-            .attr("fill", "#009900")
-            .css("mix-blend-mode", "lighten");
+    // Unsubscribe a callback from a named event, or all callbacks if none is given.
+    off(name, callback) {
+        let callbacks = this.listeners.get(name);
+        if (callbacks) {
+            this.listeners.set(name, callback ? callbacks.filter(cb => cb !== callback) : []);
+        }
+        return this;
     }
 
+    // Notify the subscribers of a named event, passing them a payload.
+    emit(name, payload) {
+        (this.listeners.get(name) || []).slice().forEach(callback => callback(payload));
+        return this;
+    }
 }
 
-// Represents a line-segment cursor which progresses from a starting pair of endpoints
-// to an ending pair of endpoints.
-class GmnxViewCursor extends GmnxViewDecoration {
-    constructor(performance, region) {
-        super(performance, region);
-        if (region.cursorStart) {
-          this.cursorStart = this.cursorFromEdge(region.cursorStart);
+// Maps musical time in a performance onto real time in seconds, and back again.
+// The map is built from a list of tempos, each of which takes effect at its start time
+// and holds until the next one. A tempo marked as a linear ramp instead changes smoothly
+// (linearly in beats per minute) until it arrives at the following tempo.
+class GmnxTempoMap {
+    constructor(tempos) {
+        let sorted = tempos.slice().sort((a, b) => a.start - b.start);
+        if (sorted.length == 0) {
+            sorted.push({start: 0, unitSeconds: 1});
         }
-        if (region.cursorEnd) {
-          this.cursorEnd = this.cursorFromEdge(region.cursorEnd);
+        else if (sorted[0].start > 0) {
+            // Musical time before the first tempo proceeds at that same tempo.
+            sorted.unshift({start: 0, unitSeconds: sorted[0].unitSeconds});
         }
-    }
 
-    // Determine the endpoints of a cursor start/end.
-    cursorFromEdge(str) {
-      switch (str) {
-        case "left":
-          return {
-            x1: this.rect.x,                   y1: this.rect.y,
-            x2: this.rect.x,                   y2: this.rect.y + this.rect.height
-          };
-        case "right":
-          return {
-            x1: this.rect.x + this.rect.width, y1: this.rect.y,
-            x2: this.rect.x + this.rect.width, y2: this.rect.y + this.rect.height
-          };
-        case "top":
-          return {
-            x1: this.rect.x,                   y1: this.rect.y,
-            x2: this.rect.x + this.rect.width, y2: this.rect.y
-          };
-        case "bottom":
-          return {
-            x1: this.rect.x,                   y1: this.rect.y + this.rect.height,
-            x2: this.rect.x + this.rect.width, y2: this.rect.y + this.rect.height
-          };
-        default:
-          let coords = str.split(/\s+/).map(num => Number.parseInt(num));
-          return {
-            x1: coords[0], y1: coords[1], x2: coords[2], y2: coords[3]
-          };
-      }
-    }
-    
-    create() {
-        return $(this.view.createSvgElement("line"))
-            .attr("stroke", "blue")
-            .attr("stroke-width", "1");
+        // Each segment records its musical start and end, the real time at which it begins,
+        // and its rate (in units of musical time per second) at either end.
+        this.segments = [];
+        let seconds = 0;
+        sorted.forEach((tempo, index) => {
+            let next = sorted[index + 1];
+            let segment = {
+                start: tempo.start,
+                end: next ? next.start : Infinity,
+                startSeconds: seconds,
+                startRate: 1 / tempo.unitSeconds,
+                endRate: 1 / ((tempo.ramp && next) ? next.unitSeconds : tempo.unitSeconds)
+            };
+            this.segments.push(segment);
+            if (next) {
+                seconds += this.secondsInSegment(segment, next.start);
+            }
+        });
     }
 
-    show() {
-        super.show();
-
-        this.highlightSvg$
-            .attr("x1", 0)
-            .attr("y1", 0)
-            .attr("x2", 0)
-            .attr("y2", 0);
-
-        // We need to periodically wake up and redisplay the cursor
-        // as the Transport time progresses.
-        if (this.interval === undefined) {
-            this.interval = setInterval(() => {
-              let time = Tone.Transport.seconds / this.performance.timescale;
-              if (this.highlighted) {
-                  let p = (time - this.start) / (this.end - this.start);
-                  for (let lineProp of ['x1', 'x2', 'y1', 'y2']) {
-                      this.highlightSvg$
-                          .attr(lineProp, this.cursorStart[lineProp] + p * (this.cursorEnd[lineProp] - this.cursorStart[lineProp]))
-                  }
-              }
-            }, 50);
+    // Return the segment in effect at a given musical time.
+    segmentAtTime(time) {
+        let segment = this.segments[0];
+        for (let s of this.segments) {
+            if (s.start > time) {
+                break;
+            }
+            segment = s;
         }
-
-        return this;
+        return segment;
     }
 
-    hide() {
-        super.hide();
+    // Return the segment in effect at a given real time.
+    segmentAtSeconds(seconds) {
+        let segment = this.segments[0];
+        for (let s of this.segments) {
+            if (s.startSeconds > seconds) {
+                break;
+            }
+            segment = s;
+        }
+        return segment;
+    }
 
-        if (this.interval !== undefined) {
-          clearInterval(this.interval);
-          this.interval = undefined;
+    // Return the number of seconds elapsed between the start of a segment and a musical time.
+    secondsInSegment(segment, time) {
+        let delta = time - segment.start;
+        let rateChange = segment.endRate - segment.startRate;
+        if (rateChange == 0 || delta < 0) {
+            return delta / segment.startRate;
         }
-        return this;
+        let length = segment.end - segment.start;
+        let rate = segment.startRate + rateChange * delta / length;
+        return (length / rateChange) * Math.log(rate / segment.startRate);
     }
-}
 
-// Represents an abstract performance, based on either audio media or on explicit performance data.
-class GmnxPerformance {
-    constructor(viewer) {
-        this.viewer = viewer;
-        this.tempos = [];
-        this.regions = [];
-        this.activeRegions = new Map();
+    // Convert a musical time to real time in seconds.
+    toSeconds(time) {
+        let segment = this.segmentAtTime(time);
+        return segment.startSeconds + this.secondsInSegment(segment, time);
     }
 
-    addTempo(start, unitSeconds) {
-        this.tempos.push({start, unitSeconds});
+    // Convert a real time in seconds to musical time.
+    toTime(seconds) {
+        let segment = this.segmentAtSeconds(seconds);
+        let elapsed = seconds - segment.startSeconds;
+        let rateChange = segment.endRate - segment.startRate;
+        if (rateChange == 0 || elapsed < 0) {
+            return segment.start + elapsed * segment.startRate;
+        }
+        let length = segment.end - segment.start;
+        let rate = segment.startRate * Math.exp(elapsed * rateChange / length);
+        return segment.start + length * (rate - segment.startRate) / rateChange;
     }
 
-    addRegion(start, end, view, region, cursorStart, cursorEnd) {
-        this.regions.push({start, end, view, region, cursorStart, cursorEnd});
+    // Convert a span of musical time beginning at a given start into a duration in seconds.
+    durationSeconds(start, duration) {
+        return this.toSeconds(start + duration) - this.toSeconds(start);
     }
+}
 
-    // Schedule the highlighting of all regions declared for this performance.
-    scheduleRegions() {
-        this.regions.forEach(pr => {
-            let vr;
-            if (pr.cursorStart && pr.cursorEnd) {
-                vr = new GmnxViewCursor(this, pr);
+// Reads and writes Standard MIDI Files. Tracks are lists of events, each having a time in
+// ticks and the bytes of a MIDI or meta message (excluding the delta time).
+class GmnxMidiFile {
+    // Encode a multi-track (format 1) Standard MIDI File with a given number of ticks per quarter
+    // note, returning an ArrayBuffer.
+    static write(tracks, ticksPerQuarter) {
+        let bytes = [];
+        let writeString = str => {
+            for (let i = 0; i < str.length; i++) {
+                bytes.push(str.charCodeAt(i));
             }
-            else {
-                vr = new GmnxViewRegion(this, pr);
+        };
+        let writeUint = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bytes.push((value >> (8 * i)) & 0xFF);
             }
-            Tone.Transport.schedule(time => {
-              this.activeRegions.set(vr, vr);
-              vr.show();
-            }, pr.start * this.timescale);
-            Tone.Transport.schedule(time => {
-                vr.hide();
-                this.activeRegions.delete(vr);
-            }, pr.end * this.timescale);
+        };
+
+        writeString('MThd');
+        writeUint(6, 4);
+        writeUint(1, 2);
+        writeUint(tracks.length, 2);
+        writeUint(ticksPerQuarter, 2);
+
+        tracks.forEach(track => {
+            // Sorting is stable, so events at the same time keep the order in which they were added.
+            let events = track.slice().sort((a, b) => a.tick - b.tick);
+            let data = [];
+            let tick = 0;
+            events.forEach(event => {
+                GmnxMidiFile.writeVarLength(data, Math.max(0, Math.round(event.tick) - tick));
+                tick = Math.max(tick, Math.round(event.tick));
+                data.push(...event.data);
+            });
+            data.push(0x00, 0xFF, 0x2F, 0x00);
+
+            writeString('MTrk');
+            writeUint(data.length, 4);
+            bytes.push(...data);
         });
+
+        return new Uint8Array(bytes).buffer;
     }
 
-    // Prepare a performance by scheduling all of its elements in advance. This is only done once
-    // for a given performance.
-    prepare() {
-        if (!this.scheduled) {
-            this.tempos.sort((a, b) => a.start - b.start);
+    // Decode a Standard MIDI File from an ArrayBuffer, returning its ticks per quarter note and
+    // its tracks. Each track is a list of events with a tick, a type ("noteon", "noteoff",
+    // "pitchbend", "tempo", "name" or "other") and the fields relevant to that type.
+    static read(arrayBuffer) {
+        let data = new DataView(arrayBuffer);
+        let offset = 0;
+        let readString = length => {
+            let str = '';
+            for (let i = 0; i < length; i++) {
+                str += String.fromCharCode(data.getUint8(offset++));
+            }
+            return str;
+        };
+        let readVarLength = () => {
+            let value = 0, byte;
+            do {
+                byte = data.getUint8(offset++);
+                value = (value << 7) | (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        if (readString(4) != 'MThd') {
+            throw new Error('Not a Standard MIDI File');
+        }
+        let headerLength = data.getUint32(offset);
+        let trackCount = data.getUint16(offset + 6);
+        let ticksPerQuarter = data.getUint16(offset + 8);
+        if (ticksPerQuarter & 0x8000) {
+            throw new Error('SMPTE time division is not supported');
+        }
+        offset += 4 + headerLength;
 
-            if (this.tempos.length == 0) {
-              this.addTempo(0, 1);
+        let tracks = [];
+        while (tracks.length < trackCount && offset + 8 <= data.byteLength) {
+            let chunkType = readString(4);
+            let chunkEnd = offset + 4 + data.getUint32(offset);
+            offset += 4;
+            if (chunkType != 'MTrk') {
+                offset = chunkEnd;
+                continue;
             }
 
-            this.timescale = this.tempos[0].unitSeconds;
-            Tone.Transport.bpm.value = 60;
+            let track = [];
+            let tick = 0;
+            let status = 0;
+            while (offset < chunkEnd) {
+                tick += readVarLength();
+                let byte = data.getUint8(offset);
+                if (byte & 0x80) {
+                    status = byte;
+                    offset++;
+                }
 
-            Tone.Transport.cancel(0);
-            this.schedulePerformance();
-            this.scheduleRegions();
-            this.scheduled = true;
+                if (status == 0xFF) {
+                    let type = data.getUint8(offset++);
+                    let length = readVarLength();
+                    let end = offset + length;
+                    if (type == 0x51) {
+                        let micros = (data.getUint8(offset) << 16) | (data.getUint8(offset + 1) << 8) | data.getUint8(offset + 2);
+                        track.push({tick, type: 'tempo', secondsPerQuarter: micros / 1000000});
+                    }
+                    else if (type == 0x03) {
+                        let name = readString(length);
+                        try {
+                            name = decodeURIComponent(escape(name));
+                        }
+                        catch (e) {
+                            // The name is not UTF-8, so its bytes are kept as Latin-1 characters,
+                            // which are common in older files.
+                        }
+                        track.push({tick, type: 'name', name});
+                    }
+                    offset = end;
+                }
+                else if (status == 0xF0 || status == 0xF7) {
+                    offset += readVarLength();
+                }
+                else {
+                    let channel = status & 0x0F;
+                    let data1 = data.getUint8(offset++);
+                    let data2 = ((status & 0xE0) == 0xC0) ? 0 : data.getUint8(offset++);
+                    switch (status & 0xF0) {
+                        case 0x90:
+                            track.push({tick, type: data2 > 0 ? 'noteon' : 'noteoff', channel, note: data1, velocity: data2});
+                            break;
+                        case 0x80:
+                            track.push({tick, type: 'noteoff', channel, note: data1});
+                            break;
+                        case 0xE0:
+                            track.push({tick, type: 'pitchbend', channel, value: (data2 << 7) | data1});
+                            break;
+                        default:
+                            track.push({tick, type: 'other', channel});
+                    }
+                }
+            }
+            tracks.push(track);
+            offset = chunkEnd;
         }
-    }
-
-    // Initiate playback of this performance.
-    play() {
-        this.stop();
 
-        Tone.Transport.seconds = 0;
-        this.startTime = Tone.Transport.context.currentTime;
-        Tone.Transport.start(this.startTime + 0.1);
+        return {ticksPerQuarter, tracks};
     }
 
-    // Stop playback of this performance.
-    stop() {
-      Tone.Transport.stop();
-      this.activeRegions.forEach(vr => {
-        vr.hide();
-      });
-      this.activeRegions.clear()
+    // Append a variable-length quantity to an array of bytes.
+    static writeVarLength(bytes, value) {
+        let groups = [value & 0x7F];
+        while ((value >>= 7) > 0) {
+            groups.unshift((value & 0x7F) | 0x80);
+        }
+        bytes.push(...groups);
     }
-}
 
-// Represents a performance data element in a GMNX score.
-class GmnxPerformanceData extends GmnxPerformance {
-    constructor(viewer) {
-      super(viewer);
-      this.events = [];
+    // Return the bytes of a meta message of a given type containing a text string.
+    static textMessage(type, text) {
+        let data = unescape(encodeURIComponent(text)).split('').map(c => c.charCodeAt(0));
+        let message = [0xFF, type];
+        GmnxMidiFile.writeVarLength(message, data.length);
+        return message.concat(data);
     }
 
-    addEvent(start, frequency, duration, dynamics, view, graphics) {
-        this.events.push({start, frequency, duration, dynamics, view, graphics});
+    // Return the bytes of a set tempo meta message, given the number of seconds per quarter note.
+    static tempoMessage(secondsPerQuarter) {
+        let micros = Math.min(0xFFFFFF, Math.round(secondsPerQuarter * 1000000));
+        return [0xFF, 0x51, 0x03, (micros >> 16) & 0xFF, (micros >> 8) & 0xFF, micros & 0xFF];
     }
+}
 
-    schedulePerformance() {
-        this.events.sort((a, b) => a.start - b.start);
-
-        //create a synth and connect it to the master output
-        this.synth = new Tone.PolySynth(32, Tone.Synth).toMaster();
-
-        // Process all events in the performance
-        this.events.forEach(pe => {
-            let viewGraphic;
-            if (pe.view && pe.graphics) {
-                // A set of graphics have been declared for this event,
-                // so create GmnxViewGraphics to handle their highlighting
-                // and also interact with the user to permit single-shot playback on tap.
-                pe.viewGraphics = [];
-                pe.graphics.forEach(g => {
-                    let viewGraphic = new GmnxViewGraphic(this, {
-                        start: pe.start,
-                        end: pe.start + pe.duration,
-                        view: pe.view,
-                        region: g
-                    });
-                    viewGraphic.svg.onmousedown = () => {
-                        this.synth.triggerAttackRelease(pe.frequency, 1, 0, 1);
-                        pe.viewGraphics.forEach(vg => vg.show());
-                        setTimeout(() => pe.viewGraphics.forEach(vg => vg.hide()), 500);
-                    };
-                    pe.viewGraphics.push(viewGraphic);
-                });
-            }
-
-            // Schedule the playback of this event.
-            Tone.Transport.schedule(time => {
-                this.synth.triggerAttackRelease(pe.frequency, pe.duration * this.timescale, time, pe.dynamics / 127);
-            }, pe.start * this.timescale)
+// Builds XML elements when serializing GMNX content.
+class GmnxXmlWriter {
+    constructor() {
+        this.doc = document.implementation.createDocument(null, null, null);
+    }
 
-            // Schedule the view graphics for showing and hiding, if any exist.
-            if (pe.viewGraphics) {
-                Tone.Transport.schedule(time => {
-                    pe.viewGraphics.forEach(g => {
-                        g.show();
-                        this.activeRegions.set(g, g);
-                    });
-                }, pe.start * this.timescale);
-                Tone.Transport.schedule(time => {
-                    pe.viewGraphics.forEach(g => {
-                        g.hide();
-                        this.activeRegions.delete(g);
-                    });
-                }, (pe.start + pe.duration) * this.timescale)
+    // Create an element with a given name, attributes and child elements. Attributes whose
+    // values are undefined are omitted, and numeric values are formatted.
+    element(name, attributes, children) {
+        let element = this.doc.createElement(name);
+        Object.keys(attributes || {}).forEach(key => {
+            let value = attributes[key];
+            if (value !== undefined) {
+                element.setAttribute(key, (typeof value == 'number') ? MnxUtils.formatNumber(value) : value);
             }
         });
+        (children || []).forEach(child => element.appendChild(child));
+        return element;
     }
 
-    start() {
-        super.start();
+    // Serialize an element to a string, first indenting each child element on its own line
+    // wherever elements contain only other elements. The element may be nested to a given depth.
+    toString(element, depth) {
+        this.indent(element, depth || 0);
+        return new XMLSerializer().serializeToString(element);
     }
 
-    stop() {
-        super.stop();
-        if (this.synth) {
-            this.synth.releaseAll();
+    indent(element, depth) {
+        let children = Array.from(element.childNodes);
+        if (children.length > 0 && children.every(child => child.nodeType == 1 || child.nodeType == 8)) {
+            let indentation = '\n' + '  '.repeat(depth);
+            children.forEach(child => {
+                element.insertBefore(this.doc.createTextNode(indentation + '  '), child);
+                if (child.nodeType == 1) {
+                    this.indent(child, depth + 1);
+                }
+            });
+            element.appendChild(this.doc.createTextNode(indentation));
         }
     }
 }
 
-class GmnxPerformanceAudio extends GmnxPerformance {
-    constructor(viewer) {
-      super(viewer);
-    }
+// Represents a view of a single SVG page in a score. The file is loaded into an
+// <iframe> in order to sandbox its content and ID namespace. The loading must take place
+// via AJAX into a blank frame, giving the iframe document the same origin as
+// the source document. Each view occupies its own page <div> within the viewer's element.
 
-    addMedia (src) {
-      return new Promise((resolve, reject) => {
-        this.buffer = new Tone.Buffer(src, resolve, reject);
-      });
-    }
+class GmnxView {
 
-    addRegion(start, end, view, region, cursorStart, cursorEnd) {
-      this.regions.push({start, end, view, region, cursorStart, cursorEnd});
-    }
+    constructor(element, id) {
+        this.id = id;
 
-    schedulePerformance() {
-      Tone.Transport.schedule(time => {
-        this.source = new Tone.BufferSource(this.buffer).toMaster().start(time);
-      }, 0);
-    }
+        // Score mappings declared for this view, each connecting a list of graphic element IDs
+        // to a list of semantic element IDs.
+        this.mappings = [];
 
-    stop() {
-      super.stop();
+        // build the page <div> and the <iframe> DOM element used for display, placing them
+        // after any pages already in the viewer's element.
+        this.element$ = $(element);
 
-      if (this.source) {
-        this.source.stop();
-        this.source = null;
-      }
-    }
-}
+        this.page$ = $('<div class="gmnx-page"></div>');
+        this.iframe$ = $('<iframe class="gmnx-view" src="about:blank" width="1024px" height="1024px" frameborder="0"></iframe>');
+        this.page$.append(this.iframe$);
+        this.element$.append(this.page$);
 
-// Top level object exposing the viewer API
+        let iframe = this.iframe$[0];
+        this.frameDoc = iframe.document;
+        if (iframe.contentDocument)
+            this.frameDoc = iframe.contentDocument;
+        else if (iframe.contentWindow)
+            this.frameDoc = iframe.contentWindow.document;
 
-class GmnxViewer {
+        // Place some boilerplate HTML into the iframe, including a <div> where the SVG will live.
+        this.frameDoc.open();
+        this.frameDoc.write('<html><head></head><body><div id="content"></div></body></html>');
+        this.frameDoc.close();
+
+        // The SVG is initially shown at its natural size.
+        this.zoomMode = 'percent';
+        this.percent = 100;
+        this.scale = 1;
+    }
+
+    // Inline an SVG DOM from the given external URL, which is retained as that of the view.
+    // Returns a Promise which resolves once the material is displayed.
+    display(url, base) {
+        this.url = url;
+        url = MnxUtils.resolveUrl(url, base);
+        //     $(this.frameDoc.getElementById("content")).load(url, () => resolve());
+        let xhr = $.get({
+            url: url,
+            dataType: 'text',
+        });
+        xhr.then(data => {
+            this.load(data);
+        });
+        return xhr;
+    }
+
+    // Load an SVG DOM given inline as an element of the GMNX document, which is retained
+    // as that of the view.
+    loadInline(svg) {
+        this.inlineSvg = svg;
+        this.load(new XMLSerializer().serializeToString(svg));
+    }
+
+    // Load an SVG DOM from a string
+    load(data) {
+        this.frameDoc.getElementById("content").innerHTML = data;
+        this._naturalSize = undefined;
+        this.updateLayout();
+    }
+
+    // Add a CSS style sheet to the document displaying this view.
+    addStyleSheet(css) {
+        $('<style></style>', this.frameDoc).text(css).appendTo(this.frameDoc.head);
+    }
+
+    // Show or hide the page containing this view.
+    setVisible(visible) {
+        this.page$.css('display', visible ? '' : 'none');
+
+        // A hidden view cannot be fitted to its frame, so this is done when it is shown.
+        if (visible && (this.zoomMode != 'percent' || this.sizing == 'container')) {
+            this.updateLayout();
+        }
+    }
+
+    // Return the natural size of the view's SVG in CSS pixels, as given by the width and height
+    // of its outermost <svg> element or, failing those, by its viewBox.
+    get naturalSize() {
+        if (!this._naturalSize) {
+            let root = this.rootSvg;
+            let viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number.parseFloat);
+            this._naturalSize = {
+                width: MnxUtils.parseLength(root.getAttribute('width')) || viewBox[2] || root.getBBox().width,
+                height: MnxUtils.parseLength(root.getAttribute('height')) || viewBox[3] || root.getBBox().height
+            };
+        }
+        return this._naturalSize;
+    }
+
+    // Return the size of the area within the view's frame that is available to its SVG.
+    get availableSize() {
+        let docElement = this.frameDoc.documentElement;
+        let style = this.frameDoc.defaultView.getComputedStyle(this.frameDoc.body);
+        return {
+            width: docElement.clientWidth - Number.parseFloat(style.marginLeft) - Number.parseFloat(style.marginRight),
+            height: docElement.clientHeight - Number.parseFloat(style.marginTop) - Number.parseFloat(style.marginBottom)
+        };
+    }
+
+    // Return the zoom of this view as an object whose mode is "fit-width", "fit-page",
+    // "fit-container" or "percent", and whose scale is that of the SVG relative to its natural size.
+    getZoom() {
+        return {mode: this.zoomMode, scale: this.scale};
+    }
+
+    // Set the zoom of this view: "fit-width" to fit the SVG to the width of the frame, "fit-page"
+    // to fit all of it within the frame, "fit-container" to size the frame to the viewer's
+    // element and fit all of the SVG within it, or a percentage of its natural size given as a
+    // number or as a string such as "150%". A client position within the frame may be given,
+    // which is kept at the same place in the score. Returns the resulting zoom.
+    setZoom(zoom, clientX, clientY) {
+        if (zoom == 'fit-width' || zoom == 'fit-page' || zoom == 'fit-container') {
+            this.zoomMode = zoom;
+        }
+        else {
+            this.zoomMode = 'percent';
+            this.percent = Number.parseFloat(zoom) || 100;
+        }
+        this.updateLayout(clientX, clientY);
+        return this.getZoom();
+    }
+
+    // Size the view's frame and scale its SVG. A frame sized by its container, rather than
+    // fixed in size, takes the width of the viewer's element. Its height is that of the element
+    // when fitting the view to its container, which needs the element's height to be set by
+    // the page; otherwise it is the height of the SVG at its current zoom. Optionally keeps
+    // a given client position at the same place in the score, as for setZoom.
+    updateLayout(clientX, clientY) {
+        let root = this.rootSvg;
+        if (!root || this.page$.css('display') == 'none'
+            || (this.sizing != 'container' && this.zoomMode != 'fit-container')) {
+            this.updateZoom(clientX, clientY);
+            return;
+        }
+
+        let container = this.element$[0];
+        if (container.clientWidth <= 0) {
+            return;
+        }
+        this.iframe$.attr('width', container.clientWidth + 'px');
+        if (this.zoomMode == 'fit-container') {
+            // A page never exceeds the window, which also stops the frames of a strip layout
+            // from enlarging an element whose height depends on them.
+            this.iframe$.attr('height', Math.min(container.clientHeight, window.innerHeight) + 'px');
+            this.updateZoom(clientX, clientY);
+        }
+        else {
+            this.updateZoom(clientX, clientY);
+            let style = this.frameDoc.defaultView.getComputedStyle(this.frameDoc.body);
+            let height = this.naturalSize.height * this.scale
+                + Number.parseFloat(style.marginTop) + Number.parseFloat(style.marginBottom);
+            this.iframe$.attr('height', Math.ceil(height) + 'px');
+        }
+    }
+
+    // Scale the view's SVG according to its zoom, optionally keeping a given client position at
+    // the same place in the score. The SVG is scaled by its width and height while its viewBox
+    // is retained, so decorations drawn in its coordinates stay aligned with the score.
+    updateZoom(clientX, clientY) {
+        let root = this.rootSvg;
+        if (!root) {
+            return;
+        }
+
+        let natural = this.naturalSize;
+        if (!root.getAttribute('viewBox')) {
+            root.setAttribute('viewBox', [0, 0, natural.width, natural.height].join(' '));
+        }
+        root.style.display = 'block';
+
+        // Fitting is repeated in case the new scale adds or removes the frame's scrollbars.
+        for (let attempt = 0; attempt < 2; attempt++) {
+            let scale = this.percent / 100;
+            if (this.zoomMode != 'percent') {
+                let available = this.availableSize;
+                if (available.width <= 0 || available.height <= 0) {
+                    return;
+                }
+                scale = available.width / natural.width;
+                if (this.zoomMode == 'fit-page' || this.zoomMode == 'fit-container') {
+                    scale = Math.min(scale, available.height / natural.height);
+                }
+            }
+            scale = Math.min(Math.max(scale, 0.05), 20);
+
+            let before = root.getBoundingClientRect();
+            let ratio = scale / this.scale;
+            this.scale = scale;
+            root.setAttribute('width', natural.width * scale);
+            root.setAttribute('height', natural.height * scale);
+
+            if (clientX !== undefined && ratio != 1) {
+                this.frameDoc.defaultView.scrollBy((clientX - before.left) * (ratio - 1), (clientY - before.top) * (ratio - 1));
+            }
+            if (this.zoomMode == 'percent') {
+                break;
+            }
+        }
+    }
+
+    // Respond to gestures within the view's frame: zooming with the mouse wheel while the control
+    // key is held (which is also how trackpads report pinching), pinching with two fingers on a
+    // touch screen, and dragging to pan. A click that ends a drag is not passed on to the score,
+    // though a drag beginning on a graphic still plays its performance event when pressed.
+    enableGestures() {
+        let win = this.frameDoc.defaultView;
+        let pointers = new Map();
+        let dragged = false;
+        let dragThreshold = 4;
+
+        // Touches are handled here rather than by the browser's own panning and zooming.
+        this.frameDoc.documentElement.style.touchAction = 'none';
+        this.frameDoc.documentElement.style.userSelect = 'none';
+
+        this.frameDoc.addEventListener('wheel', event => {
+            if (event.ctrlKey) {
+                event.preventDefault();
+                this.setZoom(this.scale * 100 * Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+            }
+        }, {passive: false});
+
+        this.frameDoc.addEventListener('pointerdown', event => {
+            if (event.button == 0) {
+                pointers.set(event.pointerId, {x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY});
+                if (pointers.size == 1) {
+                    dragged = false;
+                }
+            }
+        });
+
+        this.frameDoc.addEventListener('pointermove', event => {
+            let pointer = pointers.get(event.pointerId);
+            if (!pointer) {
+                return;
+            }
+            let previous = Array.from(pointers.values()).map(p => ({x: p.x, y: p.y}));
+            if (!dragged && Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY) < dragThreshold) {
+                return;
+            }
+            dragged = true;
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
+            let current = Array.from(pointers.values());
+
+            if (current.length == 2) {
+                // Pinching zooms about the midpoint of the two fingers, which also pans the view.
+                let distance = points => Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+                let midpoint = points => ({x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2});
+                let before = midpoint(previous);
+                let after = midpoint(current);
+                if (distance(previous) > 0) {
+                    this.setZoom(this.scale * 100 * distance(current) / distance(previous), before.x, before.y);
+                }
+                win.scrollBy(before.x - after.x, before.y - after.y);
+            }
+            else if (current.length == 1) {
+                win.scrollBy(previous[0].x - pointer.x, previous[0].y - pointer.y);
+            }
+        });
+
+        let release = event => pointers.delete(event.pointerId);
+        this.frameDoc.addEventListener('pointerup', release);
+        this.frameDoc.addEventListener('pointercancel', release);
+
+        // Clicks are intercepted before they reach the document, where other listeners capture them.
+        win.addEventListener('click', event => {
+            if (dragged) {
+                dragged = false;
+                event.stopPropagation();
+                event.preventDefault();
+            }
+        }, true);
+    }
+
+    // Add a score mapping between graphic element IDs in this view and semantic element IDs.
+    addMapping(graphics, semantics) {
+        let mapping = {graphics, semantics};
+        this.mappings.push(mapping);
+        return mapping;
+    }
+
+    // Remove a score mapping from this view.
+    removeMapping(mapping) {
+        let index = this.mappings.indexOf(mapping);
+        if (index >= 0) {
+            this.mappings.splice(index, 1);
+        }
+    }
+
+    // Scroll so that a given element of the view is visible, according to a scrolling mode:
+    //      "jump" - scroll immediately when the element is not fully visible
+    //      "smooth" - scroll smoothly when the element is not fully visible
+    //      "fixed" - always scroll the view's frame to keep the element at the same place in
+    //                its visible area
+    // Scrolling brings the center of the element to the given fraction of the visible width
+    // and height. The view's own frame is scrolled first, then the window containing the viewer.
+    // That window is only scrolled when the element is not fully visible in it, as for "jump",
+    // even in "fixed" mode, so that it may still be scrolled by the user during playback.
+    revealElement(element, mode, fraction) {
+        this.revealClientRect(element.getBoundingClientRect(), mode, fraction);
+    }
+
+    // Scroll to a rectangle given in the coordinates of the view's outermost <svg> element,
+    // with scrolling modes as for revealElement. By default the rectangle is centered.
+    scrollToRect(rect, mode, fraction) {
+        let ctm = this.rootSvg.getScreenCTM();
+        let corners = [
+            {x: rect.x, y: rect.y},
+            {x: rect.x + rect.width, y: rect.y + rect.height}
+        ].map(p => ({x: ctm.a * p.x + ctm.c * p.y + ctm.e, y: ctm.b * p.x + ctm.d * p.y + ctm.f}));
+        let client = MnxUtils.boundingRect(corners);
+        this.revealClientRect({
+            left: client.x,
+            right: client.x + client.width,
+            top: client.y,
+            bottom: client.y + client.height
+        }, mode || 'fixed', fraction !== undefined ? fraction : 0.5);
+    }
+
+    // Scroll to reveal a rectangle given in client coordinates within the view's frame, with
+    // scrolling modes as for revealElement.
+    revealClientRect(rect, mode, fraction) {
+        let frameScroll = GmnxView.scrollWindow(this.frameDoc.defaultView, rect, mode, fraction);
+
+        let frameRect = this.iframe$[0].getBoundingClientRect();
+        GmnxView.scrollWindow(window, {
+            left: frameRect.left + rect.left - frameScroll.dx,
+            right: frameRect.left + rect.right - frameScroll.dx,
+            top: frameRect.top + rect.top - frameScroll.dy,
+            bottom: frameRect.top + rect.bottom - frameScroll.dy
+        }, mode == 'fixed' ? 'jump' : mode, fraction);
+    }
+
+    // Scroll a window to reveal a rectangle given in its client coordinates, returning
+    // the distances scrolled.
+    static scrollWindow(win, rect, mode, fraction) {
+        let docElement = win.document.documentElement;
+        let width = docElement.clientWidth;
+        let height = docElement.clientHeight;
+
+        let dx = GmnxView.scrollDistance(rect.left, rect.right, width, mode, fraction);
+        dx = Math.max(-win.pageXOffset, Math.min(dx, docElement.scrollWidth - width - win.pageXOffset));
+        let dy = GmnxView.scrollDistance(rect.top, rect.bottom, height, mode, fraction);
+        dy = Math.max(-win.pageYOffset, Math.min(dy, docElement.scrollHeight - height - win.pageYOffset));
+
+        if (dx != 0 || dy != 0) {
+            win.scrollBy({left: dx, top: dy, behavior: mode == 'smooth' ? 'smooth' : 'auto'});
+        }
+        return {dx, dy};
+    }
+
+    // Return the distance to scroll along one axis in order to reveal the span from low to high
+    // within a visible extent of the given size.
+    static scrollDistance(low, high, size, mode, fraction) {
+        if (high - low > size) {
+            return low;
+        }
+        if (mode == 'fixed' || low < 0 || high > size) {
+            return (low + high) / 2 - fraction * size;
+        }
+        return 0;
+    }
+
+    // Serialize this view as a <score-view> element, including its score mappings.
+    serialize(writer) {
+        let children = this.inlineSvg ? [writer.doc.importNode(this.inlineSvg, true)] : [];
+        this.mappings.forEach(mapping => {
+            children.push(writer.element('score-mapping', {
+                graphics: mapping.graphics.join(' '),
+                semantics: mapping.semantics.join(' ')
+            }));
+        });
+        return writer.element('score-view', {id: this.id, view: this.url}, children);
+    }
+
+    // Get an SVG element by ID within the DOM
+    getSvgElement(id) {
+        return this.frameDoc.getElementById(id);
+    }
+
+    // Return the innermost element of the score with an ID that contains a given DOM node,
+    // excluding the outermost <svg> element.
+    elementWithId(node) {
+        while (node && node.namespaceURI == svgNS && node.ownerSVGElement) {
+            if (node.getAttribute('id')) {
+                return node;
+            }
+            node = node.parentNode;
+        }
+    }
+
+    // Return the outermost <svg> element of the view.
+    get rootSvg() {
+        return this.frameDoc.querySelector('#content svg');
+    }
+
+    // Return a group at the top of the view's SVG, in which decorations are drawn. Its
+    // coordinates are those of the view's outermost <svg> element.
+    get overlay() {
+        let root = this.rootSvg;
+        if (!this.overlaySvg || this.overlaySvg.parentNode !== root) {
+            this.overlaySvg = this.createSvgElement("g");
+            this.overlaySvg.setAttribute("class", "gmnx-overlay");
+            this.overlayDefs = this.createSvgElement("defs");
+            this.overlaySvg.appendChild(this.overlayDefs);
+            root.appendChild(this.overlaySvg);
+        }
+        return this.overlaySvg;
+    }
+
+    // Return the transformation matrix from the coordinates of an element of the view to those
+    // of the view's outermost <svg> element.
+    elementMatrix(element) {
+        let root = this.rootSvg;
+        let elementCTM = element.getScreenCTM && element.getScreenCTM();
+        let rootCTM = root.getScreenCTM && root.getScreenCTM();
+        if (!elementCTM || !rootCTM) {
+            return {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+        }
+        return rootCTM.inverse().multiply(elementCTM);
+    }
+
+    // Return the bounding box of an element of the view in the coordinates of the view's
+    // outermost <svg> element.
+    elementRect(element) {
+        let bbox = element.getBBox();
+        let m = this.elementMatrix(element);
+        return MnxUtils.boundingRect([
+            {x: bbox.x, y: bbox.y},
+            {x: bbox.x + bbox.width, y: bbox.y},
+            {x: bbox.x, y: bbox.y + bbox.height},
+            {x: bbox.x + bbox.width, y: bbox.y + bbox.height}
+        ].map(p => ({x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f})));
+    }
+
+    // Return the bounding box enclosing all of the elements with given IDs, in the coordinates
+    // of the view's outermost <svg> element. Missing elements are ignored.
+    elementsRect(ids) {
+        let points = [];
+        ids.forEach(id => {
+            let element = this.getSvgElement(id);
+            if (element) {
+                let rect = this.elementRect(element);
+                points.push({x: rect.x, y: rect.y}, {x: rect.x + rect.width, y: rect.y + rect.height});
+            }
+        });
+        return points.length > 0 ? MnxUtils.boundingRect(points) : {x: 0, y: 0, width: 0, height: 0};
+    }
+
+    // Convert a client position within the view's frame to the coordinates of the view's
+    // outermost <svg> element.
+    clientToSvg(x, y) {
+        let root = this.rootSvg;
+        let ctm = root.getScreenCTM && root.getScreenCTM();
+        let m = ctm ? ctm.inverse() : {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+        return {x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f};
+    }
+
+    // Copy an element of the view for display over it in the overlay, without any IDs, and
+    // optionally with every fill and stroke painted in a given color. Returns a group
+    // containing the copy.
+    copyElement(element, color) {
+        let copy = element.cloneNode(true);
+        let originals = [element].concat(Array.from(element.querySelectorAll('*')));
+        let copies = [copy].concat(Array.from(copy.querySelectorAll('*')));
+        let win = this.frameDoc.defaultView;
+        copies.forEach((c, i) => {
+            c.removeAttribute('id');
+            c.style.pointerEvents = 'none';
+            if (color) {
+                let style = win.getComputedStyle(originals[i]);
+                if (style.fill && style.fill != 'none') {
+                    c.style.fill = color;
+                }
+                if (style.stroke && style.stroke != 'none') {
+                    c.style.stroke = color;
+                }
+            }
+        });
+
+        // The copy keeps its own transform, so it is placed in the coordinates of the original's parent.
+        let m = this.elementMatrix(element.parentNode);
+        let group = this.createSvgElement("g");
+        group.setAttribute("transform", 'matrix(' + [m.a, m.b, m.c, m.d, m.e, m.f].join(' ') + ')');
+        group.appendChild(copy);
+        return group;
+    }
+
+    // Return a reference to an SVG filter drawing an effect in a given color around artwork,
+    // defining the filter in the overlay if necessary. The effect is "glow", "outline" or "shadow".
+    filterUrl(effect, color) {
+        let id = 'gmnx-' + effect + '-' + color.replace(/[^\w]/g, '');
+        if (!this.frameDoc.getElementById(id)) {
+            let filter = $(this.createSvgElement("filter"))
+                .attr({id, x: '-50%', y: '-50%', width: '200%', height: '200%'});
+            let primitive = (name, attrs) => filter.append($(this.createSvgElement(name)).attr(attrs));
+            switch (effect) {
+                case 'glow':
+                    primitive('feGaussianBlur', {in: 'SourceAlpha', stdDeviation: 2, result: 'spread'});
+                    break;
+                case 'outline':
+                    primitive('feMorphology', {in: 'SourceAlpha', operator: 'dilate', radius: 1, result: 'spread'});
+                    break;
+                case 'shadow':
+                    primitive('feGaussianBlur', {in: 'SourceAlpha', stdDeviation: 1, result: 'blur'});
+                    primitive('feOffset', {in: 'blur', dx: 2, dy: 2, result: 'spread'});
+                    break;
+            }
+            primitive('feFlood', {'flood-color': color});
+            primitive('feComposite', {in2: 'spread', operator: 'in', result: 'effect'});
+            let merge = $(this.createSvgElement("feMerge"));
+            ['effect', 'effect', 'SourceGraphic'].forEach(input => {
+                merge.append($(this.createSvgElement("feMergeNode")).attr('in', input));
+            });
+            filter.append(merge);
+
+            // Reading the overlay creates it, along with its definitions, if it does not yet exist.
+            let overlay = this.overlay;
+            $(overlay).children('defs').append(filter);
+        }
+        return 'url(#' + id + ')';
+    }
+
+    // Return an ID not yet used in the view, with a given prefix.
+    uniqueId(prefix) {
+        let id;
+        do {
+            this.idCount = (this.idCount || 0) + 1;
+            id = prefix + '-' + this.idCount;
+        } while (this.frameDoc.getElementById(id));
+        return id;
+    }
+
+    // Outline the bounding box of an element of the score, returning the outline. Outlines keep
+    // the same stroke width at any scale, and do not respond to the pointer.
+    outlineElement(element, color, dashed) {
+        let bbox = this.elementRect(element);
+        let outline = $(this.createSvgElement("rect"))
+            .attr("x", bbox.x)
+            .attr("y", bbox.y)
+            .attr("width", bbox.width)
+            .attr("height", bbox.height)
+            .attr("fill", "none")
+            .attr("stroke", color)
+            .attr("stroke-width", "1")
+            .attr("stroke-dasharray", dashed ? "4 2" : null)
+            .attr("vector-effect", "non-scaling-stroke")
+            .attr("pointer-events", "none");
+        $(this.overlay).append(outline);
+        return outline;
+    }
+
+    // Show a text label just above an element of the score, returning the label.
+    labelElement(element, text) {
+        let rect = element.getBoundingClientRect();
+        let win = this.frameDoc.defaultView;
+        let label = $('<div class="gmnx-label"></div>', this.frameDoc)
+            .text(text)
+            .css({
+                position: 'absolute',
+                left: (rect.left + win.pageXOffset) + 'px',
+                top: Math.max(0, rect.top + win.pageYOffset - 18) + 'px',
+                padding: '0 3px',
+                font: '11px sans-serif',
+                color: 'white',
+                background: 'rgba(0, 0, 0, 0.7)',
+                pointerEvents: 'none'
+            });
+        $(this.frameDoc.body).append(label);
+        return label;
+    }
+
+    // Create a naked SVG element in the proper namespace with a given element name. The element
+    // is not yet placed in the DOM, but belongs to the document shown in the iFrame.
+    createSvgElement(name) {
+        return this.frameDoc.createElementNS(svgNS, name);
+    }
+}
+
+// Default styles of decorations, keyed by the kind of decoration. Each style gives the SVG
+// presentation attributes of the decoration, such as fill, fill-opacity, stroke, stroke-width
+// and stroke-linecap.
+const defaultStyles = {
+    region: {fill: 'blue', 'fill-opacity': 0.2},
+    graphic: {fill: '#009900'},
+    cursor: {stroke: 'blue', 'stroke-width': 1, 'stroke-linecap': 'butt'}
+};
+
+// Strategies for highlighting regions and graphics, keyed by name. Each creates the SVG for a
+// decoration, drawn over the view in the decoration's style, whose fill is its color:
+//      box - a translucent box covering the decoration
+//      lighten - a box that lightens the artwork beneath it, changing black to the color but
+//                leaving white alone, which suits only black-on-white artwork
+//      recolor - a copy of the decorated artwork with all of its fills and strokes in the color
+//      glow, outline, shadow - a copy of the decorated artwork with a filter effect around it
+//      tint - a translucent box masked by the decorated artwork, tinting only what is drawn
+// Strategies other than box and lighten need decorated elements, and a decoration given only
+// by coordinates is drawn as a box instead.
+const highlightStrategies = {
+    box: decoration => decoration.createShape()
+        .attr("fill-opacity", "0.2")
+        .attr(decoration.style),
+    lighten: decoration => decoration.createShape()
+        .attr(decoration.style)
+        .css("mix-blend-mode", "lighten"),
+    recolor: decoration => decoration.createArtwork(decoration.color),
+    glow: decoration => decoration.createArtwork()
+        .attr("filter", decoration.view.filterUrl('glow', decoration.color)),
+    outline: decoration => decoration.createArtwork()
+        .attr("filter", decoration.view.filterUrl('outline', decoration.color)),
+    shadow: decoration => decoration.createArtwork()
+        .attr("filter", decoration.view.filterUrl('shadow', decoration.color)),
+    tint: decoration => {
+        let id = decoration.view.uniqueId('gmnx-mask');
+        let mask = $(decoration.view.createSvgElement("mask"))
+            .attr("id", id)
+            .append(decoration.createArtwork('white'));
+        let tint = decoration.createShape()
+            .attr("fill", decoration.color)
+            .attr("fill-opacity", "0.6")
+            .attr("mask", 'url(#' + id + ')');
+        return $(decoration.view.createSvgElement("g")).append(mask, tint);
+    }
+};
+
+// Represents a decoration within a GmnxView that can be displayed and/or hidden.
+// Decorations have their own independent SVG element drawn over the view, whose geometry is
+// an explicit rectangle or polygon in the coordinates of the view, or else the bounding box
+// of one or more existing SVG elements in the score.
+class GmnxViewDecoration {
+    constructor(performance, region) {
+        this.performance = performance;
+        this.region = region;
+        this.view = region.view;
+        this.elementId = region.region;
+        this.highlighted = false;
+        this.start = region.start;
+        this.end = region.end;
+    }
+
+    // Return the bounding rectangle of the decoration. This is only determined when first needed,
+    // since an element's bounding box cannot be measured while its page is hidden.
+    get rect() {
+        if (!this._rect) {
+            this._rect = this.region.rect
+                || (this.region.points && MnxUtils.boundingRect(this.region.points))
+                || this.view.elementsRect(this.elementIds);
+        }
+        return this._rect;
+    }
+
+    // Return the IDs of the SVG elements being decorated, of which there may be none.
+    get elementIds() {
+        return (this.elementId || '').split(/\s+/).filter(id => id);
+    }
+
+    // Return the first SVG element being decorated.
+    get svg() {
+        return this.view.getSvgElement(this.elementIds[0]);
+    }
+
+    // Display this decoration, adding it to the DOM if necessary.
+    show() {
+        if (!this.highlightSvg$) {
+           this.highlightSvg$ = this.create();
+        }
+
+        if (!this.highlighted) {
+            $(this.view.overlay).append(this.highlightSvg$);
+            this.highlighted = true;
+        }
+
+        return this;
+    }
+
+    // Hide this decoration and remove it from the DOM.
+    hide() {
+        if (this.highlighted) {
+            this.highlightSvg$.remove();
+            this.highlighted = false;
+        }
+
+        return this;
+    }
+
+    // Return the name of the highlighting strategy for this decoration (see highlightStrategies).
+    // This is chosen by its region, by its performance or by the viewer's options, in that order
+    // of preference. Highlighting chosen for a performance or the viewer may be a strategy name
+    // or an object giving separate names for "region" and "graphic" decorations.
+    get highlight() {
+        let choose = highlight => (highlight && typeof highlight == 'object') ? highlight[this.kind] : highlight;
+        let name = this.region.highlight
+            || choose(this.performance.highlight)
+            || choose(this.performance.viewer.options.highlight)
+            || this.defaultHighlight;
+        return (this.elementIds.length > 0 && !this.region.rect && !this.region.points) ? name : 'box';
+    }
+
+    // Return the style of this decoration, merging the default style for its kind with those
+    // given by the viewer's options, by its performance and by its part, in that order of
+    // increasing preference.
+    get style() {
+        let layers = [
+            defaultStyles,
+            this.performance.viewer.options.styles,
+            this.performance.styles,
+            this.region.part && this.region.part.styles
+        ];
+        return Object.assign({}, ...layers.map(styles => (styles && styles[this.kind]) || {}));
+    }
+
+    // Return the color of this decoration, which is the fill of its style.
+    get color() {
+        return this.style.fill;
+    }
+
+    // Create the SVG for the decoration by means of its highlighting strategy. The SVG has the
+    // CSS classes "gmnx-region" or "gmnx-graphic" according to its kind, and "gmnx-highlight-"
+    // followed by the name of the strategy. Since styles are given as presentation attributes,
+    // CSS rules take precedence over them.
+    create() {
+        let name = highlightStrategies[this.highlight] ? this.highlight : this.defaultHighlight;
+        return highlightStrategies[name](this)
+            .addClass('gmnx-' + this.kind + ' gmnx-highlight-' + name)
+            .attr("pointer-events", "none");
+    }
+
+    // Recreate the SVG for the decoration, as after a change to its highlighting or style.
+    redraw() {
+        let highlighted = this.highlighted;
+        this.hide();
+        this.highlightSvg$ = undefined;
+        if (highlighted) {
+            this.show();
+        }
+    }
+
+    // Create a shape covering the decoration: a polygon for a region given as a list of points,
+    // and otherwise a rectangle.
+    createShape() {
+        if (this.region.points) {
+            return $(this.view.createSvgElement("polygon"))
+                .attr("points", MnxUtils.formatPoints(this.region.points));
+        }
+        return $(this.view.createSvgElement("rect"))
+            .attr("x", this.rect.x)
+            .attr("y", this.rect.y)
+            .attr("width", this.rect.width)
+            .attr("height", this.rect.height);
+    }
+
+    // Create a copy of the artwork of the decorated elements, optionally painted in a given color.
+    createArtwork(color) {
+        let group = $(this.view.createSvgElement("g"));
+        this.elementIds.forEach(id => {
+            let element = this.view.getSvgElement(id);
+            if (element) {
+                group.append(this.view.copyElement(element, color));
+            }
+        });
+        return group;
+    }
+}
+
+// Represents a region of the view which can be highlighted or in which a cursor may be displayed.
+// By default displays as a transparent box.
+class GmnxViewRegion extends GmnxViewDecoration {
+    get kind() {
+        return 'region';
+    }
+
+    get defaultHighlight() {
+        return 'box';
+    }
+}
+
+// Represents a graphical symbol in the view which can be highlighted.
+// By default displays as a rectangle which lightens colors in the score,
+// leaving white alone but changing black to a highlight color.
+class GmnxViewGraphic extends GmnxViewDecoration {
+    get kind() {
+        return 'graphic';
+    }
+
+    get defaultHighlight() {
+        return 'lighten';
+    }
+}
+
+// Represents a cursor which progresses through a region of the view. By default it is a line
+// segment moving from a starting pair of endpoints to an ending pair of endpoints.
+//
+// A cursor may instead follow a path, for notations read along curves or zig-zags: either an
+// SVG element of the view with a geometry, such as a <path>, given by its ID, or a list of
+// polylines in the coordinates of the view. The cursor moves along the path at the rate of its
+// region, and is drawn as a line across it. Other shapes of cursor are a dot, an arrow pointing
+// in the direction of motion, and a band sweeping over the part of the region already played.
+class GmnxViewCursor extends GmnxViewDecoration {
+    // Determine the endpoints of a cursor start/end.
+    cursorFromEdge(str) {
+      switch (str) {
+        case "left":
+          return {
+            x1: this.rect.x,                   y1: this.rect.y,
+            x2: this.rect.x,                   y2: this.rect.y + this.rect.height
+          };
+        case "right":
+          return {
+            x1: this.rect.x + this.rect.width, y1: this.rect.y,
+            x2: this.rect.x + this.rect.width, y2: this.rect.y + this.rect.height
+          };
+        case "top":
+          return {
+            x1: this.rect.x,                   y1: this.rect.y,
+            x2: this.rect.x + this.rect.width, y2: this.rect.y
+          };
+        case "bottom":
+          return {
+            x1: this.rect.x,                   y1: this.rect.y + this.rect.height,
+            x2: this.rect.x + this.rect.width, y2: this.rect.y + this.rect.height
+          };
+        default: {
+          // Numeric endpoints are in the coordinates of the region element's parent, if the
+          // region has an element, and otherwise in those of the view.
+          let coords = str.split(/\s+/).map(num => Number.parseInt(num));
+          let svg = this.svg;
+          let m = svg ? this.view.elementMatrix(svg.parentNode) : {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+          let map = (x, y) => ({x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f});
+          let p1 = map(coords[0], coords[1]);
+          let p2 = map(coords[2], coords[3]);
+          return {
+            x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y
+          };
+        }
+      }
+    }
+    
+    get kind() {
+        return 'cursor';
+    }
+
+    // Return the shape of the cursor (see GmnxViewCursor), a line by default.
+    get shape() {
+        return ['line', 'dot', 'arrow', 'band'].includes(this.region.cursorShape) ? this.region.cursorShape : 'line';
+    }
+
+    // Return the size of the cursor's shape in the coordinates of the view: the length of a
+    // line across a path, the diameter of a dot, the length of an arrow or the width of a band.
+    // Unless given by the region, a straight cursor is sized by its starting endpoints, and a
+    // cursor following a path by the lesser dimension of its region, or else the bounding box
+    // of the path. A dot or arrow is a quarter of that size.
+    get size() {
+        if (this.region.cursorSize) {
+            return this.region.cursorSize;
+        }
+        let size;
+        if (!this.track.followsPath) {
+            size = Math.hypot(this.cursorStart.x2 - this.cursorStart.x1, this.cursorStart.y2 - this.cursorStart.y1);
+        }
+        else {
+            let rect = this.rect;
+            if (rect.width == 0 || rect.height == 0) {
+                rect = MnxUtils.boundingRect([].concat(...this.track.polylines));
+            }
+            size = Math.min(rect.width, rect.height) || Math.max(rect.width, rect.height);
+        }
+        return (this.shape == 'dot' || this.shape == 'arrow') ? size / 4 : size;
+    }
+
+    // Create the cursor's SVG in the cursor style, with the CSS classes "gmnx-cursor" and
+    // "gmnx-cursor-" followed by the name of its shape. Dots and arrows are filled with the
+    // color of the cursor's stroke, and bands are translucent.
+    create() {
+        let style = this.style;
+        let color = style.fill || style.stroke;
+        let svg$;
+        switch (this.shape) {
+            case 'dot':
+                svg$ = $(this.view.createSvgElement("circle")).attr(style).attr("fill", color);
+                break;
+            case 'arrow':
+                svg$ = $(this.view.createSvgElement("polygon")).attr(style).attr("fill", color);
+                break;
+            case 'band':
+                if (this.track.followsPath) {
+                    svg$ = $(this.view.createSvgElement("path")).attr(style).attr({
+                        'fill': 'none',
+                        'stroke': color,
+                        'stroke-width': this.size,
+                        'stroke-opacity': style['stroke-opacity'] || 0.2,
+                        'stroke-linejoin': 'round'
+                    });
+                }
+                else {
+                    svg$ = $(this.view.createSvgElement("polygon")).attr(style).attr({
+                        'fill': color,
+                        'fill-opacity': style['fill-opacity'] || 0.2,
+                        'stroke': 'none'
+                    });
+                }
+                break;
+            default:
+                svg$ = $(this.view.createSvgElement("line")).attr(style);
+        }
+        return svg$
+            .addClass('gmnx-cursor gmnx-cursor-' + this.shape)
+            .attr("pointer-events", "none");
+    }
+
+    show() {
+        // Endpoints, the path and waypoints depend on the geometry of the score, so they are
+        // determined on first display.
+        if (!this.track) {
+            if (this.region.cursorStart && this.region.cursorEnd) {
+                this.cursorStart = this.cursorFromEdge(this.region.cursorStart);
+                this.cursorEnd = this.cursorFromEdge(this.region.cursorEnd);
+            }
+            this.track = this.createTrack();
+            this.waypoints = (this.region.waypoints || this.eventWaypoints())
+                .filter(waypoint => waypoint.time > this.start && waypoint.time < this.end)
+                .sort((a, b) => a.time - b.time);
+        }
+
+        // A cursor with neither a path nor endpoints to follow is not shown.
+        if (this.track.polylines.length == 0) {
+            return this;
+        }
+
+        super.show();
+
+        // The cursor is redisplayed on every frame as the performance progresses.
+        this.update();
+        this.performance.viewer.startAnimation(this);
+
+        return this;
+    }
+
+    // Move the cursor to its position at the time currently heard, keeping it visible.
+    update() {
+        if (this.highlighted) {
+            this.highlightSvg$.attr(this.shapeAttributes(this.positionAt(this.performance.audibleTime)));
+            this.performance.viewer.revealDecoration(this);
+        }
+    }
+
+    // Return the SVG attributes that draw the cursor's shape at a position, given as the fraction
+    // of the way from its start to its end.
+    shapeAttributes(position) {
+        let p = this.pointAt(position);
+        let size = this.size;
+        switch (this.shape) {
+            case 'dot':
+                return {cx: p.x, cy: p.y, r: size / 2};
+            case 'arrow': {
+                let back = {x: p.x - p.dx * size, y: p.y - p.dy * size};
+                return {points: MnxUtils.formatPoints([
+                    p,
+                    {x: back.x - p.dy * size / 3, y: back.y + p.dx * size / 3},
+                    {x: back.x + p.dy * size / 3, y: back.y - p.dx * size / 3}
+                ])};
+            }
+            case 'band': {
+                if (this.track.followsPath) {
+                    let d = this.pointsAlong(position).map(points => {
+                        return points.map((q, i) => (i == 0 ? 'M' : 'L') + MnxUtils.formatPoints([q])).join(' ');
+                    }).join(' ');
+                    return {d: d || 'M0,0'};
+                }
+                let line = this.lineAt(position);
+                return {points: MnxUtils.formatPoints([
+                    {x: this.cursorStart.x1, y: this.cursorStart.y1},
+                    {x: this.cursorStart.x2, y: this.cursorStart.y2},
+                    {x: line.x2, y: line.y2},
+                    {x: line.x1, y: line.y1}
+                ])};
+            }
+            default:
+                if (this.track.followsPath) {
+                    return {
+                        x1: p.x + p.dy * size / 2, y1: p.y - p.dx * size / 2,
+                        x2: p.x - p.dy * size / 2, y2: p.y + p.dx * size / 2
+                    };
+                }
+                return this.lineAt(position);
+        }
+    }
+
+    // Return the endpoints of a straight cursor at a position, interpolated between its
+    // starting and ending endpoints.
+    lineAt(position) {
+        let line = {};
+        for (let lineProp of ['x1', 'x2', 'y1', 'y2']) {
+            line[lineProp] = this.cursorStart[lineProp] + position * (this.cursorEnd[lineProp] - this.cursorStart[lineProp]);
+        }
+        return line;
+    }
+
+    // Return the position of the cursor at a given time, as the fraction of the way from its
+    // start to its end. The cursor moves at a steady rate between successive waypoints.
+    positionAt(time) {
+        let knots = [{time: this.start, position: 0}].concat(this.waypoints, [{time: this.end, position: 1}]);
+        let i = 1;
+        while (i < knots.length - 1 && time >= knots[i].time) {
+            i++;
+        }
+        let a = knots[i - 1];
+        let b = knots[i];
+        let p = (b.time > a.time) ? Math.min(Math.max((time - a.time) / (b.time - a.time), 0), 1) : 1;
+        return a.position + p * (b.position - a.position);
+    }
+
+    // Return the path along which the cursor moves, in the coordinates of the view, as an object
+    // with its total length and its polylines. Each point of a polyline records its distance
+    // along the path, and the cursor jumps from the end of one polyline to the start of the next.
+    // A path given by an SVG element is measured at intervals of one unit of its own length. A
+    // straight cursor moves between the midpoints of its starting and ending endpoints, as does
+    // a cursor whose path is missing, if it has endpoints. The object's followsPath property
+    // tells whether the cursor follows its path.
+    createTrack() {
+        let path = this.region.cursorPath;
+        let polylines = [];
+        if (typeof path == 'string') {
+            let element = this.view.getSvgElement(path);
+            if (element && element.getTotalLength) {
+                let total = element.getTotalLength();
+                let count = Math.min(Math.max(Math.ceil(total), 1), 1000);
+                let m = this.view.elementMatrix(element);
+                let points = [];
+                for (let i = 0; i <= count; i++) {
+                    let p = element.getPointAtLength(total * i / count);
+                    points.push({x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f});
+                }
+                polylines.push(points);
+            }
+        }
+        else if (path) {
+            polylines = path.filter(points => points.length > 0);
+        }
+
+        let followsPath = polylines.length > 0;
+        if (!followsPath && this.cursorStart) {
+            let midpoint = line => ({x: (line.x1 + line.x2) / 2, y: (line.y1 + line.y2) / 2});
+            polylines.push([midpoint(this.cursorStart), midpoint(this.cursorEnd)]);
+        }
+
+        let length = 0;
+        polylines = polylines.map(points => points.map((p, i) => {
+            if (i > 0) {
+                length += Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y);
+            }
+            return {x: p.x, y: p.y, distance: length};
+        }));
+        return {polylines, length, followsPath};
+    }
+
+    // Return the point at a position along the cursor's path, given as a fraction of its length,
+    // with the unit vector (dx, dy) of the path's direction there.
+    pointAt(position) {
+        let distance = Math.min(Math.max(position, 0), 1) * this.track.length;
+        let result = {x: 0, y: 0, dx: 1, dy: 0};
+        this.track.polylines.forEach((points, index) => {
+            if (index == 0 || distance >= points[0].distance) {
+                result = {x: points[0].x, y: points[0].y, dx: 1, dy: 0};
+                for (let i = 1; i < points.length; i++) {
+                    let a = points[i - 1];
+                    let b = points[i];
+                    let length = b.distance - a.distance;
+                    if (length > 0) {
+                        let t = Math.min(Math.max((distance - a.distance) / length, 0), 1);
+                        result = {
+                            x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y),
+                            dx: (b.x - a.x) / length, dy: (b.y - a.y) / length
+                        };
+                        if (distance <= b.distance) {
+                            break;
+                        }
+                    }
+                }
+            }
+        });
+        return result;
+    }
+
+    // Return the parts of the cursor's polylines lying before a position along its path, given
+    // as a fraction of its length.
+    pointsAlong(position) {
+        let distance = Math.min(Math.max(position, 0), 1) * this.track.length;
+        let end = this.pointAt(position);
+        return this.track.polylines
+            .filter((points, index) => index == 0 || distance >= points[0].distance)
+            .map(points => {
+                let before = points.filter(p => p.distance < distance);
+                return before.length < points.length ? before.concat([end]) : points;
+            });
+    }
+
+    // Return the position along the cursor's path nearest to a given point, as a fraction of
+    // its length.
+    positionNearest(point) {
+        let nearest = {squared: Infinity, distance: 0};
+        this.track.polylines.forEach(points => {
+            for (let i = 1; i < points.length; i++) {
+                let a = points[i - 1];
+                let b = points[i];
+                let dx = b.x - a.x;
+                let dy = b.y - a.y;
+                let lengthSquared = dx * dx + dy * dy;
+                let t = lengthSquared > 0 ? Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+                let x = a.x + t * dx - point.x;
+                let y = a.y + t * dy - point.y;
+                if (x * x + y * y < nearest.squared) {
+                    nearest = {squared: x * x + y * y, distance: a.distance + t * (b.distance - a.distance)};
+                }
+            }
+        });
+        return nearest.distance / this.track.length;
+    }
+
+    // Derive waypoints for the cursor from the performance events that start within its
+    // region, and whose graphics are centered inside it. Each waypoint places the cursor at
+    // the point of its path nearest to the graphics of the events starting at its time. No
+    // waypoints are derived if the viewer's options disable this.
+    eventWaypoints() {
+        if (this.performance.viewer.options.autoWaypoints === false || !this.performance.events || !(this.track.length > 0)) {
+            return [];
+        }
+
+        let positions = new Map();
+        this.performance.events.forEach(pe => {
+            if (pe.view === this.view && pe.graphics && pe.start > this.start && pe.start < this.end) {
+                let rect = this.view.elementsRect(pe.graphics);
+                let center = {x: rect.x + rect.width / 2, y: rect.y + rect.height / 2};
+                if ((rect.width > 0 || rect.height > 0) && MnxUtils.containsPoint(this.region.points || this.rect, center)) {
+                    if (!positions.has(pe.start)) {
+                        positions.set(pe.start, []);
+                    }
+                    positions.get(pe.start).push(this.positionNearest(center));
+                }
+            }
+        });
+
+        // Simultaneous events are averaged, and the cursor never moves backwards.
+        let position = 0;
+        return Array.from(positions.keys()).sort((a, b) => a - b).map(time => {
+            let times = positions.get(time);
+            position = Math.max(position, Math.min(times.reduce((sum, p) => sum + p, 0) / times.length, 1));
+            return {time, position};
+        });
+    }
+
+    hide() {
+        super.hide();
+        this.performance.viewer.stopAnimation(this);
+        return this;
+    }
+}
+
+// Represents an abstract performance, based on either audio media or on explicit performance data.
+//
+// Performances emit the following events, which are also re-emitted by the viewer:
+//      play - playback started or resumed
+//      pause - playback paused
+//      stop - playback stopped
+//      ended - playback stopped on reaching the end of the performance
+//      timeupdate - periodically during playback
+//      regionenter, regionexit - a performance region became active or inactive
+//      eventstart, eventend - a performance event began or finished sounding
+// Every payload carries the event type, the performance and the current musical time.
+// Region payloads add the region ID, view ID, start and end; event payloads add the event
+// ID, view ID, graphics, start and end.
+class GmnxPerformance extends GmnxEmitter {
+    constructor(viewer) {
+        super();
+        this.viewer = viewer;
+        this.tempos = [];
+        this.regions = [];
+        this.decorations = [];
+        this.activeRegions = new Map();
+        this.state = 'stopped';
+    }
+
+    // Add a tempo, optionally recording the beat and beats per minute from which it was derived.
+    addTempo(start, unitSeconds, ramp, beat, bpm) {
+        this.tempos.push({start, unitSeconds, ramp, beat, bpm});
+    }
+
+    // Add a region of a view, played from a start to an end time. The region is given by the IDs
+    // of one or more elements, separated by spaces. Further properties of the region may be
+    // supplied: either a rect or an array of points giving the region in the coordinates of the
+    // view instead, the name of its highlighting strategy as highlight, and the cursor's
+    // waypoints as an array of {time, position} (see GmnxViewCursor.positionAt). A cursor may
+    // follow a cursorPath, either the ID of an SVG element or an array of polylines, each an
+    // array of points, and may be given a cursorShape and cursorSize (see GmnxViewCursor).
+    addRegion(start, end, view, region, cursorStart, cursorEnd, properties) {
+        let pr = Object.assign({start, end, view, region, cursorStart, cursorEnd}, properties);
+        this.regions.push(pr);
+        return pr;
+    }
+
+    // Set the highlighting of this performance's regions and graphics, which is either the name
+    // of a strategy or an object giving names for "region" and "graphic" decorations (see
+    // GmnxViewDecoration). Any decorations already displayed are redrawn.
+    setHighlight(highlight) {
+        this.highlight = highlight;
+        this.decorations.forEach(decoration => decoration.redraw());
+    }
+
+    // Set the styles of this performance's decorations, overriding those given by the viewer's
+    // options. Styles are given as for the viewer's options (see GmnxViewer), and any
+    // decorations already displayed are redrawn.
+    setStyles(styles) {
+        this.styles = styles;
+        this.decorations.forEach(decoration => decoration.redraw());
+    }
+
+    // Notify subscribers to this performance and to its viewer of a named event.
+    emit(name, payload) {
+        payload = Object.assign({type: name, performance: this, time: this.currentTime}, payload);
+        super.emit(name, payload);
+        this.viewer.emit(name, payload);
+        return this;
+    }
+
+    // Emit an event concerning a performance region.
+    emitRegion(name, pr) {
+        this.emit(name, {region: pr.region, view: pr.view && pr.view.id, start: pr.start, end: pr.end});
+    }
+
+    // Return the highlighting of this performance as written in GMNX, where it can only be
+    // given as a single strategy name.
+    get serializedHighlight() {
+        return (typeof this.highlight == 'string') ? this.highlight : undefined;
+    }
+
+    // Serialize this performance's tempos as <performance-tempo> elements. Tempos without a
+    // recorded beat are expressed in quarter notes.
+    serializeTempos(writer) {
+        return this.tempos.map(tempo => writer.element('performance-tempo', {
+            start: tempo.start || undefined,
+            beat: tempo.beat || '/4',
+            bpm: tempo.beat ? tempo.bpm : 15 / tempo.unitSeconds,
+            ramp: tempo.ramp ? 'linear' : undefined
+        }));
+    }
+
+    // Serialize this performance's regions as a <performance-mapping> element, if there are any.
+    serializeRegions(writer) {
+        if (this.regions.length == 0) {
+            return [];
+        }
+        return [writer.element('performance-mapping', {}, this.regions.map(pr => {
+            return writer.element('performance-region', {
+                start: pr.start,
+                end: pr.end,
+                view: pr.view && pr.view.id,
+                region: pr.region,
+                rect: pr.rect && MnxUtils.formatRect(pr.rect),
+                points: pr.points && MnxUtils.formatPoints(pr.points),
+                'cursor-start': pr.cursorStart,
+                'cursor-end': pr.cursorEnd,
+                'cursor-path': pr.cursorPath && (typeof pr.cursorPath == 'string'
+                    ? '#' + pr.cursorPath : MnxUtils.formatPolylines(pr.cursorPath)),
+                'cursor-shape': pr.cursorShape,
+                'cursor-size': pr.cursorSize,
+                'cursor-waypoints': pr.waypoints && pr.waypoints.map(waypoint => {
+                    return MnxUtils.formatNumber(waypoint.time) + ':' + MnxUtils.formatNumber(waypoint.position);
+                }).join(' '),
+                highlight: pr.highlight
+            });
+        }))];
+    }
+
+    // Return this performance serialized as a GMNX XML string.
+    toXML() {
+        let writer = new GmnxXmlWriter();
+        return writer.toString(this.serialize(writer));
+    }
+
+    // Show a decoration during playback, first turning to its view if that is not the one displayed.
+    showDecoration(decoration) {
+        if (!this.activeRegions.has(decoration)) {
+            this.viewer.turnToView(decoration.view);
+            this.activeRegions.set(decoration, decoration);
+            decoration.show();
+            this.viewer.revealDecoration(decoration);
+            if (decoration.performanceRegion) {
+                this.emitRegion('regionenter', decoration.performanceRegion);
+            }
+        }
+    }
+
+    // Hide a decoration shown during playback.
+    hideDecoration(decoration) {
+        if (this.activeRegions.has(decoration)) {
+            decoration.hide();
+            this.activeRegions.delete(decoration);
+            if (decoration.performanceRegion) {
+                this.emitRegion('regionexit', decoration.performanceRegion);
+            }
+        }
+    }
+
+    // Show exactly those decorations whose time span includes a given real time in seconds.
+    showDecorationsAt(seconds) {
+        let time = this.tempoMap.toTime(seconds);
+        this.hideDecorations();
+        this.decorations.forEach(decoration => {
+            if (decoration.start <= time && time < decoration.end) {
+                this.showDecoration(decoration);
+            }
+        });
+    }
+
+    // Hide all decorations shown during playback.
+    hideDecorations() {
+        this.activeRegions.forEach(vr => {
+            this.hideDecoration(vr);
+        });
+    }
+
+    // Create decorations for all regions declared for this performance.
+    prepareRegions() {
+        this.regions.forEach(pr => {
+            if ((pr.cursorStart && pr.cursorEnd) || pr.cursorPath) {
+                pr.decoration = new GmnxViewCursor(this, pr);
+            }
+            else {
+                pr.decoration = new GmnxViewRegion(this, pr);
+            }
+            pr.decoration.performanceRegion = pr;
+            this.decorations.push(pr.decoration);
+        });
+    }
+
+    // Rebuild the decorations for this performance's regions after regions have been added,
+    // removed or changed, stopping playback so that they are scheduled afresh when next played.
+    updateRegions() {
+        if (this.prepared) {
+            this.unschedule();
+            this.decorations = this.decorations.filter(decoration => !decoration.performanceRegion);
+            this.prepareRegions();
+        }
+        this.viewer.attachRegionClicks();
+    }
+
+    // Stop this performance and discard its scheduling, so that changes to it take effect
+    // when it is next played.
+    unschedule() {
+        this.stop();
+        if (this.viewer.scheduledPerformance === this) {
+            this.viewer.scheduledPerformance = undefined;
+        }
+    }
+
+    // Schedule the highlighting of all regions declared for this performance.
+    scheduleRegions() {
+        this.regions.forEach(pr => {
+            Tone.Transport.schedule(time => {
+                this.showDecoration(pr.decoration);
+            }, this.tempoMap.toSeconds(pr.start));
+            Tone.Transport.schedule(time => {
+                this.hideDecoration(pr.decoration);
+            }, this.tempoMap.toSeconds(pr.end));
+        });
+    }
+
+    // Prepare a performance by building its tempo map and the decorations for its elements.
+    // This is only done once for a given performance.
+    prepare() {
+        if (!this.prepared) {
+            this.tempoMap = new GmnxTempoMap(this.tempos);
+            this.preparePerformance();
+            this.prepareRegions();
+            this.prepared = true;
+        }
+    }
+
+    // Schedule all of this performance's elements on the Transport, which is shared by all
+    // performances. Any other performance scheduled there is stopped and replaced.
+    schedule() {
+        let scheduled = this.viewer.scheduledPerformance;
+        if (scheduled !== this) {
+            if (scheduled) {
+                scheduled.stop();
+            }
+            Tone.Transport.stop();
+            Tone.Transport.cancel(0);
+            Tone.Transport.bpm.value = 60;
+            this.schedulePerformance();
+            this.scheduleRegions();
+            this.scheduleEnd();
+            this.viewer.scheduledPerformance = this;
+        }
+    }
+
+    // Return the length of this performance in seconds, which is the latest time at which
+    // any of its elements ends. This is 0 until the performance has been prepared.
+    get duration() {
+        if (!this.tempoMap) {
+            return 0;
+        }
+        return this.regions.reduce((duration, pr) => Math.max(duration, this.tempoMap.toSeconds(pr.end)), 0);
+    }
+
+    // Schedule the completion of playback once the end of the performance is reached.
+    scheduleEnd() {
+        Tone.Transport.schedule(time => this.finishAt(time), this.duration);
+    }
+
+    // Complete playback at a given time of the audio context, replacing any completion already
+    // pending. The Transport runs slightly ahead of what is heard, so this waits for the audio
+    // to catch up.
+    finishAt(time) {
+        if (this.endTimeout !== undefined) {
+            clearTimeout(this.endTimeout);
+        }
+        let delay = Math.max(0, time - Tone.Transport.context.currentTime);
+        this.endTimeout = setTimeout(() => this.finish(), delay * 1000);
+    }
+
+    // Stop playback on reaching the end of the performance, and report its completion.
+    finish() {
+        this.endTimeout = undefined;
+        let time = this.currentTime;
+        this.settleCompletion(true);
+        this.stop();
+        this.emit('ended', {time});
+    }
+
+    // Settle the Promise returned by play(), indicating whether the performance ran to its end.
+    settleCompletion(completed) {
+        let resolve = this.resolveCompletion;
+        this.resolveCompletion = undefined;
+        if (resolve) {
+            resolve(completed);
+        }
+    }
+
+    // Initiate playback of this performance from the beginning. Returns a Promise that resolves
+    // to true when the performance plays to its end, or to false if it is stopped first.
+    play() {
+        return this.playFrom(0);
+    }
+
+    // Initiate playback of this performance from a given time, which is in musical time
+    // unless the unit "seconds" is given. Returns a Promise as for play().
+    playFrom(time, unit) {
+        this.stop();
+        this.schedule();
+        let completion = new Promise(resolve => this.resolveCompletion = resolve);
+        this.startTransport((unit == 'seconds') ? time : this.tempoMap.toSeconds(time));
+        return completion;
+    }
+
+    // Return all regions of this performance that refer to a given view and region ID, in order of time.
+    // The ID of a region given by coordinates is its formatted rect or points (see regionKey).
+    findRegions(view, regionId) {
+        return this.regions
+            .filter(pr => pr.view === view && GmnxPerformance.regionKey(pr) == regionId)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // Return the string identifying a performance region within its view: the IDs of its elements,
+    // or else its rect or points as they are written in GMNX.
+    static regionKey(pr) {
+        return pr.region
+            || (pr.rect && MnxUtils.formatRect(pr.rect))
+            || (pr.points && MnxUtils.formatPoints(pr.points));
+    }
+
+    // Start the Transport shortly from now at a given real time in the performance.
+    startTransport(seconds) {
+        Tone.Transport.seconds = seconds;
+        this.startSeconds = seconds;
+        this.startTime = Tone.Transport.context.currentTime + 0.1;
+        this.state = 'started';
+        this.showDecorationsAt(seconds);
+        Tone.Transport.start(this.startTime);
+        this.startMedia(this.startTime, seconds);
+        this.emit('play');
+
+        if (this.timeUpdates === undefined) {
+            this.timeUpdates = setInterval(() => this.emit('timeupdate'), 250);
+        }
+    }
+
+    // Stop emitting periodic time updates, and cancel any pending completion of playback.
+    stopTimeUpdates() {
+        if (this.timeUpdates !== undefined) {
+            clearInterval(this.timeUpdates);
+            this.timeUpdates = undefined;
+        }
+        if (this.endTimeout !== undefined) {
+            clearTimeout(this.endTimeout);
+            this.endTimeout = undefined;
+        }
+        this.endPending = false;
+    }
+
+    // Pause playback of this performance, retaining its position and displayed decorations.
+    pause() {
+        if (this.state == 'started') {
+            // The Transport is ahead of what is heard, so it is moved back to the point heard.
+            let seconds = this.audibleSeconds;
+            let ending = this.endTimeout !== undefined;
+            Tone.Transport.pause();
+            Tone.Transport.seconds = seconds;
+            this.stopMedia();
+            this.stopTimeUpdates();
+
+            // The end may have been passed by the Transport but not yet heard, in which case
+            // playback is completed once it is heard after resuming.
+            this.endPending = ending;
+            this.state = 'paused';
+            this.emit('pause');
+        }
+    }
+
+    // Resume playback of this performance from the position at which it was paused.
+    resume() {
+        if (this.state == 'paused') {
+            let ending = this.endPending || Tone.Transport.seconds >= this.duration;
+            this.startTransport(Tone.Transport.seconds);
+            if (ending) {
+                this.finishAt(this.startTime + this.duration - this.startSeconds);
+            }
+        }
+    }
+
+    // Move this performance to a given time, which is in musical time unless the unit
+    // "seconds" is given. Playback continues from there if the performance is playing;
+    // otherwise the performance is left paused there, ready to resume.
+    seek(time, unit) {
+        let seconds = Math.min((unit == 'seconds') ? time : this.tempoMap.toSeconds(time), this.duration);
+        this.schedule();
+        if (this.state == 'started') {
+            Tone.Transport.pause();
+            this.stopMedia();
+            this.stopTimeUpdates();
+            this.startTransport(seconds);
+        }
+        else {
+            Tone.Transport.pause();
+            Tone.Transport.seconds = seconds;
+            this.showDecorationsAt(seconds);
+            this.endPending = false;
+            this.state = 'paused';
+        }
+    }
+
+    // Return the current position of this performance in musical time, as it is heard.
+    get currentTime() {
+        return this.tempoMap ? this.audibleTime : 0;
+    }
+
+    // Return the position of this performance in seconds as it is currently heard. During
+    // playback this follows the clock of the audio context from the time at which playback
+    // started, allowing for the latency of the audio output, since the Transport runs ahead
+    // of what is heard.
+    get audibleSeconds() {
+        if (this.state != 'started') {
+            return Tone.Transport.seconds;
+        }
+        let context = Tone.Transport.context;
+        let latency = context.outputLatency || context.baseLatency || 0;
+        return this.startSeconds + Math.max(0, context.currentTime - latency - this.startTime);
+    }
+
+    // Return the position of this performance in musical time as it is currently heard.
+    get audibleTime() {
+        return this.tempoMap.toTime(this.audibleSeconds);
+    }
+
+    // Stop playback of this performance.
+    stop() {
+      if (this.viewer.scheduledPerformance === this) {
+        Tone.Transport.stop();
+      }
+      this.stopMedia();
+      this.stopTimeUpdates();
+      this.hideDecorations();
+      this.settleCompletion(false);
+      if (this.state != 'stopped') {
+        this.state = 'stopped';
+        this.emit('stop');
+      }
+    }
+
+    // Render this performance offline, faster than real time, following its tempo map and the
+    // current settings of its parts. Returns a Promise that resolves to a WAV file Blob.
+    exportAudio() {
+        this.prepare();
+        let release = 2;
+        return Tone.Offline(transport => {
+            transport.bpm.value = 60;
+            this.renderOffline(transport);
+            transport.start(0);
+        }, this.duration + release).then(buffer => {
+            return new Blob([MnxUtils.encodeWav(buffer.get())], {type: 'audio/wav'});
+        });
+    }
+
+    // Abstract method which schedules the sound of this performance on the Transport of an
+    // offline context, creating any audio nodes needed within that context.
+    renderOffline(transport) {
+    }
+
+    // Abstract method which starts any media belonging to the performance at a given
+    // context time, from a given offset in seconds.
+    startMedia(time, offset) {
+    }
+
+    // Abstract method which silences any media belonging to the performance.
+    stopMedia() {
+    }
+}
+
+// Represents a set of audio samples for an instrument, each recorded at a known MIDI note.
+// The samples are described in one of three ways, with relative URLs resolved against a base URL:
+//      {urls: {"C4": "piano/C4.mp3", ...}} - a map from note names or numbers to URLs
+//      {pattern: "piano/{note}.mp3", notes: ["C4", ...]} - a URL pattern in which {note} and
+//          {midi} are replaced by the name and MIDI number of each of the given notes
+//      {sfz: "piano/piano.sfz"} - an SFZ instrument definition, whose regions supply the sample
+//          URLs (relative to the definition) and their pitch_keycenter or key opcodes
+// Descriptions may also give attack and release times in seconds. SoundFont (SF2) files are not
+// supported, and loading one fails with an error, as does an SFZ definition with no samples.
+class GmnxSampleSet {
+    constructor(description, base) {
+        this.description = description;
+        this.base = base;
+        this.attack = description.attack || 0;
+        this.release = description.release || 0.3;
+        this.samples = [];
+    }
+
+    // Load all samples in the set, returning a Promise that resolves once they are loaded.
+    load() {
+        return this.resolveSamples().then(samples => Promise.all(samples.map(sample => {
+            return new Promise((resolve, reject) => {
+                let buffer = new Tone.Buffer(sample.url, () => {
+                    this.samples.push({midi: sample.midi, buffer});
+                    resolve();
+                }, reject);
+            });
+        })));
+    }
+
+    // Return a Promise for the list of {midi, url} samples in the set's description.
+    resolveSamples() {
+        let description = this.description;
+        let base = description.baseUrl ? MnxUtils.resolveUrl(description.baseUrl, this.base) : this.base;
+
+        if (description.sf2 || /\.sf2$/i.test(description.sfz || '')) {
+            return Promise.reject(new Error('SoundFont (SF2) files are not supported: ' + (description.sf2 || description.sfz)));
+        }
+        if (description.sfz) {
+            let sfzUrl = MnxUtils.resolveUrl(description.sfz, base);
+            return Promise.resolve($.get({url: sfzUrl, dataType: 'text'})).then(text => {
+                // A SoundFont is a RIFF file, which may be served under another name.
+                if (/^RIFF[\s\S]{4}sfbk/.test(text)) {
+                    throw new Error('SoundFont (SF2) files are not supported: ' + sfzUrl);
+                }
+                let samples = GmnxSampleSet.parseSfz(text, sfzUrl.replace(/[^\/]*$/, ''));
+                if (samples.length == 0) {
+                    throw new Error('No samples found in SFZ definition ' + sfzUrl);
+                }
+                return samples;
+            });
+        }
+
+        let urls = description.urls || {};
+        if (description.pattern) {
+            urls = {};
+            (description.notes || []).forEach(note => {
+                urls[note] = description.pattern
+                    .replace(/\{note\}/g, note)
+                    .replace(/\{midi\}/g, MnxUtils.parseNoteNumber(note));
+            });
+        }
+        return Promise.resolve(Object.keys(urls).map(note => {
+            return {midi: MnxUtils.parseNoteNumber(note), url: MnxUtils.resolveUrl(urls[note], base)};
+        }));
+    }
+
+    // Parse the regions of an SFZ instrument definition into a list of {midi, url} samples.
+    // Only the opcodes identifying samples and their pitches are used.
+    static parseSfz(text, base) {
+        let samples = [];
+        let header, control = {}, group = {}, region;
+        let finishRegion = () => {
+            if (region) {
+                let opcodes = Object.assign({}, group, region);
+                let key = opcodes.pitch_keycenter || opcodes.key;
+                if (opcodes.sample && key !== undefined) {
+                    let path = (control.default_path || '') + opcodes.sample.replace(/\\/g, '/');
+                    samples.push({midi: MnxUtils.parseNoteNumber(key), url: MnxUtils.resolveUrl(path, base)});
+                }
+                region = undefined;
+            }
+        };
+
+        text = text.replace(/\/\/.*$/gm, '');
+        let tokens = /<(\w+)>|(\w+)=(.*?)(?=\s+\w+=|\s*<|\s*$)/g;
+        let m;
+        while ((m = tokens.exec(text))) {
+            if (m[1]) {
+                finishRegion();
+                header = m[1];
+                if (header == 'group') {
+                    group = {};
+                }
+                else if (header == 'region') {
+                    region = {};
+                }
+            }
+            else {
+                let opcodes = (header == 'region') ? region : (header == 'control') ? control : group;
+                if (opcodes) {
+                    opcodes[m[2]] = m[3].trim();
+                }
+            }
+        }
+        finishRegion();
+        return samples;
+    }
+
+    // Create a new sampler playing this set's samples.
+    createSampler() {
+        return new GmnxSampler(this);
+    }
+}
+
+// An instrument that plays notes from a GmnxSampleSet, using the sample nearest in pitch to
+// each note and adjusting its playback rate. Unlike Tone.Sampler, this preserves microtonal
+// pitches exactly.
+class GmnxSampler {
+    constructor(sampleSet) {
+        this.sampleSet = sampleSet;
+        this.output = new Tone.Gain();
+        this.sources = new Set();
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    // Return the sample closest in pitch to a MIDI note number.
+    closestSample(midi) {
+        let closest;
+        this.sampleSet.samples.forEach(sample => {
+            if (!closest || Math.abs(sample.midi - midi) < Math.abs(closest.midi - midi)) {
+                closest = sample;
+            }
+        });
+        return closest;
+    }
+
+    // Play a note of a given frequency and duration in seconds at a given time, with a
+    // velocity between 0 and 1.
+    triggerAttackRelease(frequency, duration, time, velocity) {
+        let sample = this.closestSample(MnxUtils.frequencyToMidi(frequency));
+        if (sample) {
+            // A time in the past, such as 0, means that the note plays immediately.
+            time = Math.max(Number(time) || 0, this.output.context.currentTime);
+            let source = new Tone.BufferSource({
+                buffer: sample.buffer,
+                playbackRate: frequency / MnxUtils.midiToFrequency(sample.midi),
+                fadeIn: this.sampleSet.attack,
+                fadeOut: this.sampleSet.release,
+                curve: 'exponential',
+                onended: () => {
+                    this.sources.delete(source);
+                    source.dispose();
+                }
+            }).connect(this.output);
+            source.start(time, 0, undefined, velocity);
+            source.stop(time + duration + this.sampleSet.release, this.sampleSet.release);
+            this.sources.add(source);
+        }
+        return this;
+    }
+
+    // Release all notes that are sounding.
+    releaseAll() {
+        this.sources.forEach(source => source.stop(undefined, this.sampleSet.release));
+        return this;
+    }
+
+    dispose() {
+        this.sources.forEach(source => source.dispose());
+        this.sources.clear();
+        this.output.dispose();
+    }
+}
+
+// General MIDI programs used when exporting parts, keyed by instrument sound family as for
+// instrumentPresets. Parts with the "drum" family are exported on the percussion channel.
+const midiPrograms = {
+    keyboard: 0,
+    voice: 52,
+    strings: 48,
+    wind: 73,
+    brass: 61,
+    pluck: 24,
+    drum: 0
+};
+
+// Built-in instrument presets, keyed by the family of an MNX instrument sound: the portion
+// of its ID before the first period, as in "voice" for "voice.aa". Each preset is a function
+// creating a new Tone.js instrument. The "default" preset serves any other family.
+const instrumentPresets = {
+    keyboard: () => new Tone.PolySynth(20, Tone.Synth, {
+        oscillator: {type: 'triangle'},
+        envelope: {attack: 0.005, decay: 0.8, sustain: 0.2, release: 1.2}
+    }),
+    voice: () => new Tone.PolySynth(8, Tone.AMSynth, {
+        harmonicity: 2,
+        envelope: {attack: 0.08, decay: 0.1, sustain: 0.9, release: 0.4}
+    }),
+    strings: () => new Tone.PolySynth(16, Tone.MonoSynth, {
+        oscillator: {type: 'sawtooth'},
+        filter: {type: 'lowpass', Q: 1},
+        envelope: {attack: 0.1, decay: 0.2, sustain: 0.8, release: 0.5},
+        filterEnvelope: {attack: 0.1, decay: 0.2, sustain: 0.6, release: 0.5, baseFrequency: 300, octaves: 3}
+    }),
+    wind: () => new Tone.PolySynth(8, Tone.Synth, {
+        oscillator: {type: 'sine'},
+        envelope: {attack: 0.05, decay: 0.1, sustain: 0.8, release: 0.2}
+    }),
+    brass: () => new Tone.PolySynth(8, Tone.FMSynth, {
+        harmonicity: 1,
+        modulationIndex: 4,
+        envelope: {attack: 0.05, decay: 0.2, sustain: 0.7, release: 0.3}
+    }),
+    pluck: () => new Tone.PolySynth(16, Tone.Synth, {
+        oscillator: {type: 'triangle'},
+        envelope: {attack: 0.002, decay: 1, sustain: 0, release: 0.5}
+    }),
+    drum: () => new Tone.PolySynth(8, Tone.MembraneSynth),
+    default: () => new Tone.PolySynth(20, Tone.Synth)
+};
+
+// Represents a performance part within performance data, grouping the events played by a
+// single performer. Each part is played through its own channel and instrument, so that it
+// can be muted, soloed and given its own volume and sound.
+class GmnxPerformancePart {
+    constructor(performance, id, name) {
+        this.performance = performance;
+        this.id = id;
+        this.name = name;
+        this.sound = undefined;
+        this.events = [];
+        this.muted = false;
+        this.soloed = false;
+        this.volume = 0;
+    }
+
+    // Mute or unmute this part.
+    setMuted(muted) {
+        this.muted = muted;
+        this.performance.updateMix();
+        return this;
+    }
+
+    // Solo or unsolo this part. While any part is soloed, only soloed parts are heard.
+    setSoloed(soloed) {
+        this.soloed = soloed;
+        this.performance.updateMix();
+        return this;
+    }
+
+    // Set the volume of this part in decibels, where 0 leaves it unchanged.
+    setVolume(volume) {
+        this.volume = volume;
+        this.performance.updateMix();
+        return this;
+    }
+
+    // Set the styles of the graphics highlighted for this part's events, overriding those of its
+    // performance. Styles are given as for the viewer's options (see GmnxViewer).
+    setStyles(styles) {
+        this.styles = styles;
+        this.events.forEach(pe => (pe.viewGraphics || []).forEach(graphic => graphic.redraw()));
+        return this;
+    }
+
+    // Return true if this part can be heard, given its own state and the solo state of other parts.
+    get audible() {
+        let soloing = this.performance.parts.some(part => part.soloed);
+        return !this.muted && (this.soloed || !soloing);
+    }
+
+    // Set the function creating the instrument for this part, replacing any instrument in use.
+    setInstrument(factory) {
+        this.instrumentFactory = factory;
+        if (this.instrument) {
+            this.instrument.dispose();
+            this.instrument = this.createInstrument().connect(this.channel);
+        }
+        return this;
+    }
+
+    // Create the instrument for this part. An instrument set for the part itself takes precedence
+    // over one chosen by the viewer, which falls back to a preset for the part's instrument sound.
+    createInstrument() {
+        let factory = this.instrumentFactory || this.performance.viewer.instrumentFactory(this);
+        return factory();
+    }
+
+    // Create the channel and instrument through which this part is played.
+    prepare() {
+        this.channel = new Tone.Volume().toMaster();
+        this.instrument = this.createInstrument().connect(this.channel);
+    }
+}
+
+// Represents a performance data element in a GMNX score.
+class GmnxPerformanceData extends GmnxPerformance {
+    constructor(viewer) {
+      super(viewer);
+      this.events = [];
+      this.parts = [];
+    }
+
+    // Add a part with a given ID and name to this performance, returning it.
+    addPart(id, name) {
+        let part = new GmnxPerformancePart(this, id || ('part' + (this.parts.length + 1)), name);
+
+        // A part added without an ID is given one for reference, but it is not exported.
+        part.generatedId = !id;
+        this.parts.push(part);
+        return part;
+    }
+
+    // Return the part with a given ID.
+    getPart(id) {
+        return this.parts.find(part => part.id == id);
+    }
+
+    // Add an event to a given part of this performance. Events added without a part belong
+    // to a default part, which is created as needed.
+    addEvent(start, frequency, duration, dynamics, view, graphics, id, part) {
+        if (!part) {
+            part = this.defaultPart || (this.defaultPart = this.addPart());
+        }
+        let pe = {start, frequency, duration, dynamics, view, graphics, id, part};
+        this.events.push(pe);
+        part.events.push(pe);
+    }
+
+    // Create performance data from a Standard MIDI File in an ArrayBuffer. Each track containing
+    // notes becomes a part, and tempo changes become tempos. Pitch bends in effect when notes
+    // begin are included in their pitches, assuming a range of two semitones.
+    static fromMidi(viewer, arrayBuffer) {
+        let midi = GmnxMidiFile.read(arrayBuffer);
+        let performance = new GmnxPerformanceData(viewer);
+        let toTime = tick => tick / (4 * midi.ticksPerQuarter);
+
+        let tempoEvents = [];
+        midi.tracks.forEach(track => {
+            tempoEvents.push(...track.filter(event => event.type == 'tempo'));
+        });
+        tempoEvents.sort((a, b) => a.tick - b.tick);
+        if (tempoEvents.length == 0 || tempoEvents[0].tick > 0) {
+            // The default MIDI tempo is 120 quarter notes per minute.
+            tempoEvents.unshift({tick: 0, secondsPerQuarter: 0.5});
+        }
+        tempoEvents.forEach(event => {
+            performance.addTempo(toTime(event.tick), event.secondsPerQuarter * 4, false, '/4', 60 / event.secondsPerQuarter);
+        });
+
+        midi.tracks.forEach((track, index) => {
+            if (!track.some(event => event.type == 'noteon')) {
+                return;
+            }
+            let nameEvent = track.find(event => event.type == 'name');
+            let part = performance.addPart('track' + (index + 1), nameEvent && nameEvent.name);
+
+            let bends = new Array(16).fill(0);
+            let sounding = new Map();
+            track.forEach(event => {
+                let key = event.channel + ':' + event.note;
+                if (event.type == 'pitchbend') {
+                    bends[event.channel] = (event.value - 8192) / 8192 * 2;
+                }
+                else if (event.type == 'noteon') {
+                    if (!sounding.has(key)) {
+                        sounding.set(key, []);
+                    }
+                    sounding.get(key).push({event, bend: bends[event.channel]});
+                }
+                else if (event.type == 'noteoff' && sounding.has(key) && sounding.get(key).length > 0) {
+                    let on = sounding.get(key).shift();
+                    let start = toTime(on.event.tick);
+                    performance.addEvent(start, MnxUtils.midiToFrequency(event.note + on.bend),
+                        toTime(event.tick) - start, on.event.velocity, undefined, undefined, undefined, part);
+                }
+            });
+        });
+
+        return performance;
+    }
+
+    // Serialize this performance as a <performance-data> element. Events in the default part
+    // are written outside any <performance-part>, as they were found, and parts keep the order
+    // in which they were loaded.
+    serialize(writer) {
+        let parts = [].concat(...MnxUtils.inSourceOrder(this.parts).map(part => {
+            let events = part.events.map(pe => this.serializeEvent(writer, pe));
+            if (part === this.defaultPart) {
+                return events;
+            }
+            return [writer.element('performance-part', {
+                id: part.generatedId ? undefined : part.id,
+                name: part.generatedName ? undefined : part.name
+            }, events)];
+        }));
+        return writer.element('performance-data', {highlight: this.serializedHighlight},
+            this.serializeTempos(writer).concat(this.serializeRegions(writer), parts));
+    }
+
+    serializeEvent(writer, pe) {
+        return writer.element('performance-event', {
+            id: pe.id,
+            pitch: pe.frequency,
+            start: pe.start,
+            duration: pe.duration,
+            dynamics: pe.dynamics,
+            view: pe.view && pe.view.id,
+            graphics: pe.graphics && pe.graphics.join(' ')
+        });
+    }
+
+    // Export this performance as a Standard MIDI File, returning an ArrayBuffer. The file has a
+    // tempo track followed by one track per part. Pitches between semitones are played with
+    // pitch bend, assuming the default range of two semitones; since bend applies to a whole
+    // channel, overlapping notes within a part that need different bends cannot all be exact.
+    exportMidi() {
+        let tempoMap = this.tempoMap || new GmnxTempoMap(this.tempos);
+        let ticksPerQuarter = 480;
+        let toTicks = time => time * 4 * ticksPerQuarter;
+
+        // The tempo track holds a tempo change at each tempo segment, and at each sixteenth
+        // note during a ramp.
+        let tempoTrack = [{tick: 0, data: GmnxMidiFile.textMessage(0x03, 'Tempo')}];
+        tempoMap.segments.forEach(segment => {
+            let ramp = segment.endRate != segment.startRate;
+            let step = ramp ? 1 / 16 : Infinity;
+            for (let time = segment.start; time < segment.end; time += step) {
+                let middle = Math.min(time + step / 2, segment.end);
+                let rate = ramp
+                    ? segment.startRate + (segment.endRate - segment.startRate) * (middle - segment.start) / (segment.end - segment.start)
+                    : segment.startRate;
+                tempoTrack.push({tick: toTicks(time), data: GmnxMidiFile.tempoMessage(1 / rate / 4)});
+            }
+        });
+
+        let tracks = [tempoTrack];
+        this.parts.forEach((part, index) => {
+            let family = (part.sound || '').split('.')[0];
+            let channel = (family == 'drum') ? 9 : [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15][index % 15];
+            let track = [{tick: 0, data: GmnxMidiFile.textMessage(0x03, part.name || part.id)}];
+            track.push({tick: 0, data: [0xC0 | channel, midiPrograms[family] || 0]});
+
+            // Notes are ordered so that, at any one time, note-offs precede pitch bends and note-ons.
+            let bend = 8192;
+            let noteOffs = [];
+            part.events.slice().sort((a, b) => a.start - b.start).forEach(pe => {
+                let midi = MnxUtils.frequencyToMidi(pe.frequency);
+                let note = Math.max(0, Math.min(127, Math.round(midi)));
+                let velocity = Math.max(1, Math.min(127, Math.round(pe.dynamics) || 64));
+                let start = toTicks(pe.start);
+
+                noteOffs = noteOffs.filter(off => {
+                    if (off.tick <= start) {
+                        track.push(off);
+                    }
+                    return off.tick > start;
+                });
+
+                let noteBend = Math.max(0, Math.min(16383, Math.round(8192 + (midi - note) / 2 * 8192)));
+                if (noteBend != bend) {
+                    track.push({tick: start, data: [0xE0 | channel, noteBend & 0x7F, noteBend >> 7]});
+                    bend = noteBend;
+                }
+                track.push({tick: start, data: [0x90 | channel, note, velocity]});
+                noteOffs.push({tick: toTicks(pe.start + pe.duration), data: [0x80 | channel, note, 0]});
+                noteOffs.sort((a, b) => a.tick - b.tick);
+            });
+            tracks.push(track.concat(noteOffs));
+        });
+
+        return GmnxMidiFile.write(tracks, ticksPerQuarter);
+    }
+
+    // Apply the mute, solo and volume settings of all parts to their channels.
+    updateMix() {
+        this.parts.forEach(part => {
+            if (part.channel) {
+                part.channel.volume.value = part.audible ? part.volume : -Infinity;
+            }
+        });
+    }
+
+    get duration() {
+        if (!this.tempoMap) {
+            return 0;
+        }
+        return this.events.reduce(
+            (duration, pe) => Math.max(duration, this.tempoMap.toSeconds(pe.start + pe.duration)),
+            super.duration);
+    }
+
+    // Emit an event concerning a performance event.
+    emitEvent(name, pe) {
+        this.emit(name, {
+            event: pe.id,
+            view: pe.view && pe.view.id,
+            graphics: pe.graphics,
+            start: pe.start,
+            end: pe.start + pe.duration
+        });
+    }
+
+    preparePerformance() {
+        this.events.sort((a, b) => a.start - b.start);
+
+        // create a channel and instrument for each part, connected to the master output
+        this.parts.forEach(part => part.prepare());
+        this.updateMix();
+
+        // Process all events in the performance
+        this.events.forEach(pe => this.prepareEventGraphics(pe));
+    }
+
+    // Create the decorations for the graphics of a performance event, if it has any.
+    prepareEventGraphics(pe) {
+        // Graphics previously attached to the event no longer play it when clicked, but play
+        // any other event to which they are attached instead.
+        let previous = pe.viewGraphics || [];
+        pe.viewGraphics = undefined;
+        previous.forEach(vg => {
+            let svg = vg.svg;
+            if (svg && svg.onmousedown === vg.playHandler) {
+                let other = [].concat(...this.events.map(e => e.viewGraphics || []))
+                    .find(g => g.view === vg.view && g.elementId == vg.elementId);
+                svg.onmousedown = other ? other.playHandler : null;
+            }
+        });
+
+        if (pe.view && pe.graphics) {
+            // A set of graphics have been declared for this event,
+            // so create GmnxViewGraphics to handle their highlighting
+            // and also interact with the user to permit single-shot playback on tap.
+            pe.viewGraphics = [];
+            pe.graphics.forEach(g => {
+                let viewGraphic = new GmnxViewGraphic(this, {
+                    start: pe.start,
+                    end: pe.start + pe.duration,
+                    view: pe.view,
+                    region: g,
+                    part: pe.part
+                });
+                let svg = viewGraphic.svg;
+                if (svg) {
+                    viewGraphic.playHandler = () => {
+                        pe.part.instrument.triggerAttackRelease(pe.frequency, 1, 0, 1);
+                        pe.viewGraphics.forEach(vg => vg.show());
+                        setTimeout(() => pe.viewGraphics.forEach(vg => vg.hide()), 500);
+                    };
+                    svg.onmousedown = viewGraphic.playHandler;
+                }
+                pe.viewGraphics.push(viewGraphic);
+                this.decorations.push(viewGraphic);
+            });
+        }
+    }
+
+    // Rebuild the decorations for a performance event after its view or graphics have changed.
+    updateEvent(pe) {
+        if (this.prepared) {
+            this.unschedule();
+            this.decorations = this.decorations.filter(decoration => (pe.viewGraphics || []).indexOf(decoration) < 0);
+            this.prepareEventGraphics(pe);
+        }
+    }
+
+    // Return the performance event with a given ID.
+    getEvent(id) {
+        return this.events.find(pe => pe.id == id);
+    }
+
+    schedulePerformance() {
+        this.events.forEach(pe => {
+            // Schedule the playback of this event.
+            Tone.Transport.schedule(time => {
+                this.playEvent(pe, pe.part.instrument, time);
+                this.emitEvent('eventstart', pe);
+            }, this.tempoMap.toSeconds(pe.start))
+            Tone.Transport.schedule(time => {
+                this.emitEvent('eventend', pe);
+            }, this.tempoMap.toSeconds(pe.start + pe.duration))
+
+            // Schedule the view graphics for showing and hiding, if any exist.
+            if (pe.viewGraphics) {
+                Tone.Transport.schedule(time => {
+                    pe.viewGraphics.forEach(g => this.showDecoration(g));
+                }, this.tempoMap.toSeconds(pe.start));
+                Tone.Transport.schedule(time => {
+                    pe.viewGraphics.forEach(g => this.hideDecoration(g));
+                }, this.tempoMap.toSeconds(pe.start + pe.duration))
+            }
+        });
+    }
+
+    // Play a performance event on an instrument at a given context time.
+    playEvent(pe, instrument, time) {
+        instrument.triggerAttackRelease(pe.frequency, this.tempoMap.durationSeconds(pe.start, pe.duration), time, pe.dynamics / 127);
+    }
+
+    // Schedule all events offline, through a new channel and instrument for each part.
+    renderOffline(transport) {
+        let instruments = new Map();
+        this.parts.forEach(part => {
+            let channel = new Tone.Volume(part.audible ? part.volume : -Infinity).toMaster();
+            instruments.set(part, part.createInstrument().connect(channel));
+        });
+        this.events.forEach(pe => {
+            transport.schedule(time => {
+                this.playEvent(pe, instruments.get(pe.part), time);
+            }, this.tempoMap.toSeconds(pe.start));
+        });
+    }
+
+    stopMedia() {
+        this.parts.forEach(part => {
+            if (part.instrument && part.instrument.releaseAll) {
+                part.instrument.releaseAll();
+            }
+        });
+    }
+}
+
+class GmnxPerformanceAudio extends GmnxPerformance {
+    constructor(viewer) {
+      super(viewer);
+    }
+
+    // Load the audio media for this performance from a URL, which is retained as that of the media.
+    addMedia (src, base) {
+      this.mediaSrc = src;
+      return new Promise((resolve, reject) => {
+        this.buffer = new Tone.Buffer(MnxUtils.resolveUrl(src, base), resolve, reject);
+      });
+    }
+
+    serialize(writer) {
+      let media = writer.element('performance-audio-media', {src: this.mediaSrc});
+      return writer.element('performance-audio', {highlight: this.serializedHighlight},
+        [media].concat(this.serializeTempos(writer), this.serializeRegions(writer)));
+    }
+
+    addRegion(start, end, view, region, cursorStart, cursorEnd, properties) {
+      let pr = Object.assign({start, end, view, region, cursorStart, cursorEnd}, properties);
+      this.regions.push(pr);
+      return pr;
+    }
+
+    preparePerformance() {
+    }
+
+    get duration() {
+      return Math.max(super.duration, this.buffer ? this.buffer.duration : 0);
+    }
+
+    // The audio is not scheduled on the Transport, but started alongside it at the matching offset.
+    schedulePerformance() {
+    }
+
+    renderOffline(transport) {
+      new Tone.BufferSource(this.buffer).toMaster().start(0);
+    }
+
+    startMedia(time, offset) {
+      this.stopMedia();
+      if (offset < this.buffer.duration) {
+        this.source = new Tone.BufferSource(this.buffer).toMaster().start(time, offset);
+      }
+    }
+
+    stopMedia() {
+      if (this.source) {
+        this.source.stop();
+        this.source = null;
+      }
+    }
+}
+
+// Records the regions of a performance while it plays, as an aid to authoring. Each time the
+// user taps a key or clicks an element of the score, the region being recorded ends and
+// another begins at the time currently heard. Tapping the key begins a region for the next of
+// a given list of region IDs; clicking an element begins a region for that element instead.
+// The recorded regions are added to the performance, from which they may be adjusted and
+// exported with toXML().
+//
+// options values:
+//      view - ID of the view containing the regions recorded by tapping, by default the
+//             view currently displayed
+//      regions - array of region IDs to be recorded in turn by tapping
+//      key - the key to tap, " " by default
+//      resolution - musical time to which recorded times are rounded, 0.01 by default
+//      replace - if true, the performance's existing regions are discarded when recording starts
+class GmnxRegionRecorder {
+    constructor(performance, options) {
+        this.performance = performance;
+        this.viewer = performance.viewer;
+        this.options = options || {};
+        this.regions = [];
+        this.recording = false;
+        this.keyListener = event => this.keyPressed(event);
+        this.clickListeners = new Map();
+    }
+
+    // Play the performance from the beginning and begin recording. Recording stops when the
+    // performance ends or is stopped. Returns a Promise that resolves to the recorded regions
+    // once recording stops.
+    start() {
+        this.stop();
+        if (this.options.replace) {
+            this.performance.regions = [];
+            this.performance.updateRegions();
+        }
+        this.regions = [];
+        this.nextRegion = 0;
+        this.tapView = this.viewer.views.get(this.options.view) || this.viewer.currentView;
+
+        // Clicks are captured before they reach any element, so that clicking a region that
+        // already exists does not play from its start.
+        document.addEventListener('keydown', this.keyListener);
+        this.viewer.views.forEach(view => {
+            let listener = event => this.elementClicked(view, event);
+            this.clickListeners.set(view, listener);
+            view.frameDoc.addEventListener('keydown', this.keyListener);
+            view.frameDoc.addEventListener('click', listener, true);
+        });
+
+        this.recording = true;
+        let played = this.performance.play();
+
+        // The end of playback is known once the performance has been prepared to play.
+        let end = this.performance.tempoMap.toTime(this.performance.duration);
+        return played.then(completed => {
+            // A performance that has ended is no longer positioned at its end.
+            if (completed) {
+                this.endRegion(end);
+            }
+            this.stop();
+            return this.regions;
+        });
+    }
+
+    // Stop recording, ending the region being recorded and stopping the performance.
+    stop() {
+        if (this.recording) {
+            this.recording = false;
+            this.endRegion(this.now());
+            document.removeEventListener('keydown', this.keyListener);
+            this.clickListeners.forEach((listener, view) => {
+                view.frameDoc.removeEventListener('keydown', this.keyListener);
+                view.frameDoc.removeEventListener('click', listener, true);
+            });
+            this.clickListeners.clear();
+            this.performance.stop();
+            this.performance.updateRegions();
+        }
+    }
+
+    // Return the musical time currently heard, rounded to the recording's resolution.
+    now() {
+        let resolution = this.options.resolution || 0.01;
+        return Math.round(this.performance.audibleTime / resolution) * resolution;
+    }
+
+    // Respond to the tapped key by beginning a region for the next region ID in the list.
+    keyPressed(event) {
+        let target = event.target;
+        if (event.key != (this.options.key || ' ') || event.repeat
+            || (target && /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return;
+        }
+        event.preventDefault();
+
+        let time = this.now();
+        this.endRegion(time);
+        let ids = this.options.regions || [];
+        if (this.nextRegion < ids.length && this.tapView) {
+            this.beginRegion(time, this.tapView, ids[this.nextRegion++]);
+        }
+    }
+
+    // Respond to a click on an element of a view by beginning a region for it. The element is
+    // the innermost one with an ID enclosing the click, preferring those in the list of region IDs.
+    elementClicked(view, event) {
+        event.stopPropagation();
+        event.preventDefault();
+
+        let ids = this.options.regions || [];
+        let element = event.target;
+        let candidate;
+        while (element && element.getAttribute) {
+            let id = element.getAttribute('id');
+            if (id && ids.indexOf(id) >= 0) {
+                candidate = element;
+                break;
+            }
+            candidate = candidate || (id ? element : undefined);
+            element = element.parentNode;
+        }
+
+        if (candidate) {
+            let time = this.now();
+            this.endRegion(time);
+            this.beginRegion(time, view, candidate.getAttribute('id'));
+
+            // Tapping continues from the region following the clicked one.
+            let index = ids.indexOf(candidate.getAttribute('id'));
+            if (index >= 0) {
+                this.nextRegion = index + 1;
+            }
+        }
+    }
+
+    // Begin recording a region at a given time, highlighting it while it is recorded. The region
+    // is only added to the performance once it has ended.
+    beginRegion(time, view, regionId) {
+        this.current = {start: time, view, region: regionId};
+        this.highlight = new GmnxViewRegion(this.performance, this.current).show();
+    }
+
+    // End the region being recorded, if there is one, at a given time.
+    endRegion(time) {
+        if (this.current) {
+            let pr = this.current;
+            this.regions.push(this.performance.addRegion(pr.start, Math.max(time, pr.start), pr.view, pr.region));
+            this.highlight.hide();
+            this.current = undefined;
+            this.highlight = undefined;
+        }
+    }
+
+    // Change the start and end of a recorded region, given by its index in order of recording.
+    adjustRegion(index, start, end) {
+        let pr = this.regions[index];
+        if (pr) {
+            pr.start = start;
+            pr.end = end;
+            this.performance.updateRegions();
+        }
+        return pr;
+    }
+
+    // Discard a recorded region, given by its index in order of recording.
+    removeRegion(index) {
+        let pr = this.regions[index];
+        if (pr) {
+            this.regions.splice(index, 1);
+            this.performance.regions.splice(this.performance.regions.indexOf(pr), 1);
+            this.performance.updateRegions();
+        }
+        return pr;
+    }
+
+    // Return the performance, including the recorded regions, serialized as a GMNX XML string.
+    toXML() {
+        return this.performance.toXML();
+    }
+}
+
+// An editing mode for the views of a viewer, in which authors link the graphics of the score
+// to its semantics and performances. Hovering over an element of the score outlines it and
+// shows its ID. Clicking selects an element; shift-clicking adds an element to the selection
+// or removes it. The selected graphics can then be mapped to semantic IDs, or attached to a
+// performance event or performance region. Each edit changes the viewer's model, and may be
+// undone and redone.
+//
+// Editors emit the following events:
+//      hover - the element under the pointer changed, with the view ID, element ID and
+//              bounding box of the element in the coordinates of the view, if there is one
+//      select - the selection changed, with the view ID and the selected element IDs
+//      change - the model was edited, or an edit was undone or redone
+class GmnxViewEditor extends GmnxEmitter {
+    constructor(viewer) {
+        super();
+        this.viewer = viewer;
+        this.enabled = false;
+        this.selection = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.domListeners = [];
+    }
+
+    // Enter editing mode for the views currently loaded. While editing, clicks on the score
+    // no longer play it.
+    enable() {
+        if (!this.enabled) {
+            this.enabled = true;
+            this.viewer.views.forEach(view => {
+                let doc = view.frameDoc;
+                this.listen(doc, 'mouseover', event => this.hover(view, view.elementWithId(event.target)));
+                this.listen(doc, 'mouseout', event => {
+                    if (!event.relatedTarget) {
+                        this.hover(view, undefined);
+                    }
+                });
+                this.listen(doc, 'mousedown', event => event.stopPropagation());
+                this.listen(doc, 'click', event => this.clicked(view, event));
+            });
+        }
+        return this;
+    }
+
+    // Leave editing mode, clearing the selection.
+    disable() {
+        if (this.enabled) {
+            this.enabled = false;
+            this.domListeners.forEach(l => l.target.removeEventListener(l.type, l.listener, true));
+            this.domListeners = [];
+            this.hover(undefined, undefined);
+            this.clearSelection();
+        }
+        return this;
+    }
+
+    // Listen for DOM events before they reach any element of the score.
+    listen(target, type, listener) {
+        target.addEventListener(type, listener, true);
+        this.domListeners.push({target, type, listener});
+    }
+
+    // Outline and label the element under the pointer, if there is one.
+    hover(view, element) {
+        if (element === this.hovered) {
+            return;
+        }
+        if (this.hoverOutline) {
+            this.hoverOutline.remove();
+            this.hoverLabel.remove();
+            this.hoverOutline = this.hoverLabel = undefined;
+        }
+        this.hovered = element;
+        if (element) {
+            this.hoverOutline = view.outlineElement(element, 'magenta', true);
+            this.hoverLabel = view.labelElement(element, element.getAttribute('id'));
+        }
+        this.emit('hover', {
+            type: 'hover',
+            view: view && view.id,
+            id: element && element.getAttribute('id'),
+            rect: element && view.elementRect(element)
+        });
+    }
+
+    // Respond to a click by selecting the element clicked, or by adding it to the selection or
+    // removing it when the shift key is held.
+    clicked(view, event) {
+        event.stopPropagation();
+        event.preventDefault();
+        let element = view.elementWithId(event.target);
+        if (event.shiftKey) {
+            if (element) {
+                this.toggleSelection(view, element.getAttribute('id'));
+            }
+        }
+        else {
+            this.select(view, element ? [element.getAttribute('id')] : []);
+        }
+    }
+
+    // Select the elements of a view with the given IDs, replacing any existing selection.
+    select(view, ids) {
+        this.selection.forEach(item => item.outline.remove());
+        this.selection = [];
+        this.selectionView = view;
+        ids.forEach(id => this.addToSelection(id));
+        this.selectionChanged();
+    }
+
+    // Add an element of a view to the selection, or remove it if it is already selected.
+    // The selection is confined to a single view.
+    toggleSelection(view, id) {
+        if (view !== this.selectionView) {
+            this.select(view, [id]);
+            return;
+        }
+        let item = this.selection.find(item => item.id == id);
+        if (item) {
+            item.outline.remove();
+            this.selection.splice(this.selection.indexOf(item), 1);
+        }
+        else {
+            this.addToSelection(id);
+        }
+        this.selectionChanged();
+    }
+
+    // Add an element of the selected view to the selection, outlining it.
+    addToSelection(id) {
+        let element = this.selectionView.getSvgElement(id);
+        if (element) {
+            this.selection.push({id, outline: this.selectionView.outlineElement(element, 'red')});
+        }
+    }
+
+    // Clear the selection.
+    clearSelection() {
+        this.select(undefined, []);
+    }
+
+    // Notify subscribers of a change to the selection.
+    selectionChanged() {
+        this.emit('select', {
+            type: 'select',
+            view: this.selectionView && this.selectionView.id,
+            ids: this.selectedIds()
+        });
+    }
+
+    // Return the IDs of the selected elements, in order of selection.
+    selectedIds() {
+        return this.selection.map(item => item.id);
+    }
+
+    // Perform an edit, given as an object whose apply() and revert() methods make and undo
+    // the change, and record it so that it can be undone.
+    execute(edit) {
+        edit.apply();
+        this.undoStack.push(edit);
+        this.redoStack = [];
+        this.emit('change', {type: 'change', edit});
+        return edit;
+    }
+
+    // Undo the most recent edit, returning it if there was one.
+    undo() {
+        let edit = this.undoStack.pop();
+        if (edit) {
+            edit.revert();
+            this.redoStack.push(edit);
+            this.emit('change', {type: 'change', edit});
+        }
+        return edit;
+    }
+
+    // Redo the most recently undone edit, returning it if there was one.
+    redo() {
+        let edit = this.redoStack.pop();
+        if (edit) {
+            edit.apply();
+            this.undoStack.push(edit);
+            this.emit('change', {type: 'change', edit});
+        }
+        return edit;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Add a score mapping from the selected graphics to semantic IDs, given as an array or as
+    // a space-separated string.
+    mapSemantics(semantics) {
+        let view = this.selectionView;
+        let graphics = this.selectedIds();
+        if (typeof semantics == 'string') {
+            semantics = semantics.split(/\s+/).filter(id => id);
+        }
+        if (!view || graphics.length == 0 || semantics.length == 0) {
+            return;
+        }
+
+        let mapping;
+        return this.execute({
+            label: 'Map ' + graphics.join(' ') + ' to ' + semantics.join(' '),
+            apply: () => mapping = this.viewer.addScoreMapping(view, graphics, semantics),
+            revert: () => this.viewer.removeScoreMapping(view, mapping)
+        });
+    }
+
+    // Make the selected graphics those of a performance event, given by the event or its ID.
+    attachToEvent(performance, event) {
+        let pe = (typeof event == 'object') ? event : performance.getEvent(event);
+        let view = this.selectionView;
+        let graphics = this.selectedIds();
+        if (!pe || !view || graphics.length == 0) {
+            return;
+        }
+
+        let before = {view: pe.view, graphics: pe.graphics};
+        let after = {view, graphics};
+        let assign = state => {
+            pe.view = state.view;
+            pe.graphics = state.graphics;
+            performance.updateEvent(pe);
+        };
+        return this.execute({
+            label: 'Attach ' + graphics.join(' ') + ' to event ' + pe.id,
+            apply: () => assign(after),
+            revert: () => assign(before)
+        });
+    }
+
+    // Add a performance region for each selected element, with a given start and end.
+    addRegions(performance, start, end) {
+        let view = this.selectionView;
+        let regions = this.selectedIds().map(id => ({start, end, view, region: id}));
+        if (regions.length == 0) {
+            return;
+        }
+
+        return this.execute({
+            label: 'Add regions for ' + this.selectedIds().join(' '),
+            apply: () => {
+                performance.regions.push(...regions);
+                performance.updateRegions();
+            },
+            revert: () => {
+                performance.regions = performance.regions.filter(pr => regions.indexOf(pr) < 0);
+                performance.updateRegions();
+            }
+        });
+    }
+
+    // Make the selected elements those of an existing performance region, replacing any
+    // coordinates given for it.
+    attachToRegion(performance, pr) {
+        if (this.selection.length == 0) {
+            return;
+        }
+
+        let before = {view: pr.view, region: pr.region, rect: pr.rect, points: pr.points};
+        let after = {view: this.selectionView, region: this.selectedIds().join(' '), rect: undefined, points: undefined};
+        let assign = state => {
+            Object.assign(pr, state);
+            performance.updateRegions();
+        };
+        return this.execute({
+            label: 'Attach ' + after.region + ' to region',
+            apply: () => assign(after),
+            revert: () => assign(before)
+        });
+    }
+}
+
+// Top level object exposing the viewer API
+//
+// Besides re-emitting all events of its performances, the viewer emits:
+//      loaded - content finished loading, with the viewer in the payload
+//      error - content failed to load, with the reason in the payload
+
+class GmnxViewer extends GmnxEmitter {
     // Create a new viewer that loads its content into a given <div>.
     //
     // options values:
     //      elementName - name of the <div> which will contain the viewer content
+    //      layout - "paged" (the default) to show one view at a time, or "strip" to show
+    //               all views one after another
+    //      scroll - how to scroll decorations shown during playback into sight: "none",
+    //               "jump" (the default), "smooth" or "fixed" (see GmnxView.revealElement)
+    //      scrollFraction - fraction of the visible area at which scrolling places a
+    //               decoration, 0.3 by default
+    //      instruments - optional object whose keys are part IDs, MNX instrument sound IDs or
+    //               instrument sound families, and whose values are functions creating Tone.js
+    //               instruments. These override the built-in presets (see setInstrument).
+    //      samples - optional object whose keys are as for instruments, and whose values describe
+    //               audio samples to be played for those parts (see GmnxSampleSet). The samples
+    //               are loaded along with the content, with URLs relative to the GMNX file.
+    //      chooseOccurrence - optional function used when a clicked region is played more
+    //               than once. It is passed the array of performance regions, and returns the
+    //               chosen one or a Promise for it. By default a popup menu is shown.
+    //      highlight - highlighting strategy for regions and graphics, unless chosen by their
+    //               performance or region: either a strategy name, or an object giving names for
+    //               "region" and "graphic" decorations (see highlightStrategies)
+    //      styles - optional object giving the styles of decorations, overriding the defaults
+    //               (see defaultStyles). Its keys are "region", "graphic" and "cursor", and its
+    //               values are objects of SVG presentation attributes, such as
+    //               {cursor: {stroke: "orange", "stroke-width": 2, "stroke-linecap": "round"}}.
+    //               Performances and parts may override these (see their setStyles methods).
+    //      css - optional CSS style sheet added to every view, which may style decorations by
+    //               their classes: "gmnx-region", "gmnx-graphic" and "gmnx-cursor"
+    //      zoom - initial zoom of every view: "fit-width", "fit-page", "fit-container" or a
+    //               percentage of the natural size of the view's SVG (see GmnxView.setZoom),
+    //               100 by default
+    //      autoWaypoints - false to stop cursors following the graphics of the performance
+    //               events within their regions (see GmnxViewCursor.eventWaypoints)
+    //      sizing - "fixed" (the default) to display each view in a frame of fixed size, or
+    //               "container" to size frames from the viewer's element, laying them out
+    //               again whenever it is resized (see GmnxView.updateLayout)
+    //      gestures - true to enable zooming with the mouse wheel or by pinching, and panning
+    //               by dragging (see GmnxView.enableGestures). These take over touches and text
+    //               selection within the views, so they are disabled by default.
 
     constructor(options) {
+        super();
         this.options = options;
         this.element = document.getElementById(options.elementName);
+        this.views = new Map();
+        this.instruments = Object.assign({}, options.instruments);
+        this.animations = new Set();
+        this.semanticGraphics = new Map();
+        this.graphicSemantics = new Map();
+
+        // Views are laid out again when the viewer's element changes size, or failing any
+        // means of observing that, when the window does.
+        if (this.element) {
+            if (window.ResizeObserver) {
+                this.resizeObserver = new ResizeObserver(() => this.containerResized());
+                this.resizeObserver.observe(this.element);
+            }
+            else {
+                this.resizeListener = () => this.containerResized();
+                window.addEventListener('resize', this.resizeListener);
+            }
+        }
+    }
+
+    // Stop responding to changes in the size of the viewer's element or the window, and stop
+    // animating decorations, as when the viewer is no longer needed.
+    dispose() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = undefined;
+        }
+        if (this.resizeListener) {
+            window.removeEventListener('resize', this.resizeListener);
+            this.resizeListener = undefined;
+        }
+        Array.from(this.animations).forEach(decoration => this.stopAnimation(decoration));
+    }
+
+    // Lay out all views again after the viewer's element has changed size. Changes in height
+    // alone are ignored unless views are fitted to the element, since laying out the views
+    // may itself change the element's height.
+    containerResized() {
+        let width = this.element.clientWidth;
+        let height = this.element.clientHeight;
+        let fitted = Array.from(this.views.values()).some(view => view.zoomMode == 'fit-container');
+        if (width != this.containerWidth || (fitted && height != this.containerHeight)) {
+            this.containerWidth = width;
+            this.containerHeight = height;
+            this.updateLayout();
+        }
+    }
+
+    // Size the frames of all views and scale their SVG, as for GmnxView.updateLayout.
+    updateLayout() {
+        this.views.forEach(view => view.updateLayout());
+    }
+
+    // Set the function creating the instrument for parts with a given part ID, MNX instrument
+    // sound ID (such as "keyboard.piano") or instrument sound family (such as "keyboard").
+    // This applies to parts whose instruments are created afterwards.
+    setInstrument(key, factory) {
+        this.instruments[key] = factory;
+    }
+
+    // Load a set of samples described as for GmnxSampleSet, and play them for parts with a given
+    // key as for setInstrument. Returns a Promise that resolves once the samples are loaded.
+    loadSamples(key, description) {
+        let sampleSet = new GmnxSampleSet(description, this.base);
+        this.setInstrument(key, () => sampleSet.createSampler());
+        return sampleSet.load();
+    }
+
+    // Return the function creating the instrument for a performance part. The most specific
+    // instrument set on the viewer is chosen, or else the preset for the part's sound family.
+    instrumentFactory(part) {
+        let family = (part.sound || '').split('.')[0];
+        return this.instruments[part.id]
+            || (part.sound && this.instruments[part.sound])
+            || (family && this.instruments[family])
+            || instrumentPresets[family]
+            || instrumentPresets.default;
+    }
+
+    // Animate a decoration by calling its update() method on every display frame while its
+    // performance is playing. A single loop serves all animated decorations of the viewer,
+    // and runs only while there are any.
+    startAnimation(decoration) {
+        this.animations.add(decoration);
+        if (this.animationFrame === undefined) {
+            this.animationFrame = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    // Stop animating a decoration.
+    stopAnimation(decoration) {
+        this.animations.delete(decoration);
+        if (this.animations.size == 0 && this.animationFrame !== undefined) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = undefined;
+        }
+    }
+
+    // Update all animated decorations for the current frame. Decorations whose performance is
+    // no longer playing are updated for the last time, and then left alone.
+    animate() {
+        this.animationFrame = undefined;
+        this.animations.forEach(decoration => {
+            decoration.update();
+            if (decoration.performance.state != 'started') {
+                this.animations.delete(decoration);
+            }
+        });
+        if (this.animations.size > 0) {
+            this.animationFrame = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    // Return the layout of the viewer's pages.
+    get layout() {
+        return this.options.layout || 'paged';
+    }
+
+    // Display the view with a given ID. In a paged layout all other views are hidden; in a
+    // strip layout, where every view is displayed, the view is scrolled into sight.
+    showView(id) {
+        let view = this.views.get(id);
+        if (view) {
+            if (this.layout == 'strip') {
+                view.page$[0].scrollIntoView();
+            }
+            else {
+                this.views.forEach(v => v.setVisible(v === view));
+            }
+            this.currentView = view;
+        }
+        return view;
+    }
+
+    // Set the zoom of every view, as for GmnxView.setZoom. The zoom also applies to views
+    // loaded afterwards. Returns the resulting zoom of the current view.
+    setZoom(zoom) {
+        this.zoom = zoom;
+        this.views.forEach(view => view.setZoom(zoom));
+        return this.getZoom();
+    }
+
+    // Return the zoom of the current view, as for GmnxView.getZoom.
+    getZoom() {
+        return this.currentView && this.currentView.getZoom();
+    }
+
+    // Scroll the current view to a rectangle {x, y, width, height} in the coordinates of its
+    // outermost <svg> element, as for GmnxView.scrollToRect. Options may give the ID of a view
+    // to display first as view, and the scrolling mode and fraction as mode and fraction.
+    scrollToRect(rect, options) {
+        options = options || {};
+        if (options.view) {
+            this.showView(options.view);
+        }
+        if (this.currentView) {
+            this.currentView.scrollToRect(rect, options.mode, options.fraction);
+        }
+    }
+
+    // Display the view following the current one, returning it if there is one.
+    nextPage() {
+        return this.turnPage(1);
+    }
+
+    // Display the view preceding the current one, returning it if there is one.
+    previousPage() {
+        return this.turnPage(-1);
+    }
+
+    // Display the view a given number of pages away from the current one.
+    turnPage(delta) {
+        let views = Array.from(this.views.values());
+        let view = views[views.indexOf(this.currentView) + delta];
+        if (view) {
+            return this.showView(view.id);
+        }
+    }
+
+    // Return the performance that responds to the user, which is the one most recently played.
+    get activePerformance() {
+        return this.scheduledPerformance || this.performances[0];
+    }
+
+    // Play the active performance from the start of a performance region for a given view
+    // and region ID. If the region is played several times, the occurrence may be given
+    // as a zero-based index; otherwise the first is used.
+    playRegion(viewId, regionId, occurrence) {
+        let view = this.views.get(viewId);
+        let performance = this.performanceForRegion(view, regionId);
+        if (performance) {
+            let pr = performance.findRegions(view, regionId)[occurrence || 0];
+            if (pr) {
+                performance.playFrom(pr.start);
+            }
+        }
+    }
+
+    // Return the performance to use for a given view region: the active performance if it
+    // has any regions there, or else the first performance that does.
+    performanceForRegion(view, regionId) {
+        let candidates = [this.activePerformance].concat(this.performances);
+        return candidates.find(perf => perf && perf.findRegions(view, regionId).length > 0);
+    }
+
+    // Make every SVG element named by a performance region respond to clicks by playing
+    // from the start of that region. Views with regions given by coordinates respond to
+    // clicks within those regions in the same way.
+    // Elements already made clickable are left alone, so this may be repeated as regions are added.
+    // Regions whose view is not found are ignored.
+    attachRegionClicks() {
+        this.performances.forEach(perf => {
+            perf.regions.forEach(pr => {
+                if (!pr.view) {
+                    return;
+                }
+                if (pr.rect || pr.points) {
+                    if (!this.clickableRegions.has(pr.view)) {
+                        this.clickableRegions.add(pr.view);
+                        pr.view.frameDoc.addEventListener('click', event => this.viewClicked(pr.view, event));
+                    }
+                    return;
+                }
+
+                (pr.region || '').split(/\s+/).filter(id => id).forEach(id => {
+                    let key = pr.view.id + '#' + id + '#' + pr.region;
+                    let element = pr.view.getSvgElement(id);
+                    if (element && !this.clickableRegions.has(key)) {
+                        this.clickableRegions.add(key);
+
+                        // Regions are often drawn as unfilled shapes, which would not otherwise receive clicks.
+                        element.style.pointerEvents = 'all';
+                        element.style.cursor = 'pointer';
+                        element.addEventListener('click', event => {
+                            // Clicks are handled once, by the innermost region containing them.
+                            if (!event.defaultPrevented) {
+                                event.preventDefault();
+                                this.regionClicked(pr.view, pr.region, event);
+                            }
+                        });
+                    }
+                });
+            });
+        });
+    }
+
+    // Respond to a click within a view that has not reached an element region, by playing
+    // from the start of a region given by coordinates that contains it, if there is one.
+    viewClicked(view, event) {
+        if (event.defaultPrevented) {
+            return;
+        }
+        let point = view.clientToSvg(event.clientX, event.clientY);
+        let candidates = [this.activePerformance].concat(this.performances);
+        for (let perf of candidates) {
+            let pr = perf && perf.regions.find(pr => pr.view === view && (pr.rect || pr.points)
+                && MnxUtils.containsPoint(pr.points || pr.rect, point));
+            if (pr) {
+                event.preventDefault();
+                this.regionClicked(view, GmnxPerformance.regionKey(pr), event);
+                return;
+            }
+        }
+    }
+
+    // Respond to a click on a region by playing from its start, after asking the user to choose
+    // when the region is played more than once.
+    regionClicked(view, regionId, event) {
+        let performance = this.performanceForRegion(view, regionId);
+        if (!performance) {
+            // The region has been removed since its element was made clickable.
+            return;
+        }
+        let occurrences = performance.findRegions(view, regionId);
+        let choice = (occurrences.length == 1)
+            ? Promise.resolve(occurrences[0])
+            : this.chooseOccurrence(view, occurrences, event.clientX, event.clientY);
+        choice.then(pr => {
+            if (pr) {
+                performance.playFrom(pr.start);
+            }
+        });
+    }
+
+    // Ask the user to pick one of several occurrences of a region, by default using a popup menu
+    // placed at a given client position within a view. Returns a Promise resolving to the chosen
+    // performance region, or to undefined if the menu is dismissed.
+    chooseOccurrence(view, occurrences, x, y) {
+        if (this.options.chooseOccurrence) {
+            return Promise.resolve(this.options.chooseOccurrence(occurrences));
+        }
+
+        return new Promise(resolve => {
+            $('.gmnx-occurrences').remove();
+
+            let frameRect = view.iframe$[0].getBoundingClientRect();
+            let menu$ = $('<div class="gmnx-occurrences"></div>')
+                .css({
+                    position: 'absolute',
+                    left: frameRect.left + x + window.pageXOffset,
+                    top: frameRect.top + y + window.pageYOffset,
+                    background: 'white',
+                    border: '1px solid #999',
+                    'font-size': '12px',
+                    'z-index': 1000
+                });
+
+            let close = pr => {
+                menu$.remove();
+                $(document).off('mousedown', dismiss);
+                $(view.frameDoc).off('mousedown', dismiss);
+                resolve(pr);
+            };
+            let dismiss = event => {
+                if (!$.contains(menu$[0], event.target)) {
+                    close();
+                }
+            };
+
+            occurrences.forEach((pr, index) => {
+                $('<div></div>')
+                    .text((index + 1) + ': ' + GmnxPerformance.regionKey(pr) + ' (' + pr.start + ' - ' + pr.end + ')')
+                    .css({padding: '2px 8px', cursor: 'pointer'})
+                    .on('click', () => close(pr))
+                    .appendTo(menu$);
+            });
+            $(document.body).append(menu$);
+
+            // Wait for the click that opened the menu to finish before listening for dismissal.
+            setTimeout(() => {
+                $(document).on('mousedown', dismiss);
+                $(view.frameDoc).on('mousedown', dismiss);
+            }, 0);
+        });
+    }
+
+    // Scroll to keep a decoration shown during playback in sight, as directed by the viewer's options.
+    revealDecoration(decoration) {
+        let mode = this.options.scroll || 'jump';
+        if (mode != 'none' && decoration.highlighted) {
+            let fraction = this.options.scrollFraction !== undefined ? this.options.scrollFraction : 0.3;
+            decoration.view.revealElement(decoration.highlightSvg$[0], mode, fraction);
+        }
+    }
+
+    // Display a given view if it is not already the current one, as when playback moves
+    // on to material in another view.
+    turnToView(view) {
+        if (view && view !== this.currentView) {
+            this.showView(view.id);
+        }
     }
 
     // Load a GMNX file from a URL, returning a Promise that resolves when the file is loaded.
@@ -521,27 +3771,137 @@ class GmnxViewer {
         }
 
         return new Promise((resolve, reject) => {
+            let fail = reason => {
+                this.emit('error', {type: 'error', viewer: this, error: reason});
+                reject(reason);
+            };
+
+            // The file is read as text so that its XML declaration may be kept on export.
             $.get({
                 url: url,
-                dataType: 'xml',
+                dataType: 'text',
                 success: data => {
-                    this.parse(data).then(
-                        value => resolve(this),
-                        reason => reject(reason)
+                    let parsed;
+                    try {
+                        parsed = this.parse(data);
+                    }
+                    catch (e) {
+                        fail(e);
+                        return;
+                    }
+                    parsed.then(
+                        value => {
+                            this.emit('loaded', {type: 'loaded', viewer: this});
+                            resolve(this);
+                        },
+                        reason => fail(reason)
                     )
                 },
-                error: reason => reject(reason)
+                error: reason => fail(reason)
+            });
+        });
+    }
+
+    // Add a score mapping to a view, indexing it in both directions.
+    addScoreMapping(view, graphics, semantics) {
+        let mapping = view.addMapping(graphics, semantics);
+        this.indexScoreMapping(view, mapping);
+        return mapping;
+    }
+
+    // Remove a score mapping from a view, reindexing the mappings that remain.
+    removeScoreMapping(view, mapping) {
+        view.removeMapping(mapping);
+        this.semanticGraphics = new Map();
+        this.graphicSemantics = new Map();
+        this.views.forEach(v => v.mappings.forEach(m => this.indexScoreMapping(v, m)));
+    }
+
+    // Index a score mapping of a view by its graphics and by its semantics.
+    indexScoreMapping(view, mapping) {
+        let graphics = mapping.graphics;
+        let semantics = mapping.semantics;
+        if (!this.graphicSemantics.has(view.id)) {
+            this.graphicSemantics.set(view.id, new Map());
+        }
+        let viewGraphics = this.graphicSemantics.get(view.id);
+
+        graphics.forEach(graphic => {
+            semantics.forEach(semantic => {
+                if (!this.semanticGraphics.has(semantic)) {
+                    this.semanticGraphics.set(semantic, []);
+                }
+                this.semanticGraphics.get(semantic).push({view: view.id, graphic});
+
+                if (!viewGraphics.has(graphic)) {
+                    viewGraphics.set(graphic, []);
+                }
+                viewGraphics.get(graphic).push(semantic);
+            });
+        });
+    }
+
+    // Return the graphics drawing a given semantic element ID, as an array of
+    // {view, graphic} objects giving the view ID and the SVG element ID.
+    getGraphicsForSemantic(semanticId) {
+        return (this.semanticGraphics.get(semanticId) || []).slice();
+    }
+
+    // Return an array of the semantic element IDs represented by a given SVG element ID.
+    // If no view ID is supplied, the element is looked up in all views.
+    getSemanticsForGraphic(graphicId, viewId) {
+        let semantics = [];
+        this.graphicSemantics.forEach((viewGraphics, id) => {
+            if ((viewId === undefined || viewId == id) && viewGraphics.has(graphicId)) {
+                viewGraphics.get(graphicId).forEach(semantic => {
+                    if (semantics.indexOf(semantic) < 0) {
+                        semantics.push(semantic);
+                    }
+                });
+            }
+        });
+        return semantics;
+    }
+
+    // Load a Standard MIDI File from a URL as additional performance data, returning a Promise
+    // that resolves to the new GmnxPerformanceData. Failures are reported as for load.
+    loadMidi(url) {
+        return new Promise((resolve, reject) => {
+            let fail = reason => {
+                this.emit('error', {type: 'error', viewer: this, error: reason});
+                reject(reason);
+            };
+
+            // The file is read as an ArrayBuffer, which jQuery passes on as a binary response.
+            $.ajax({
+                url: url,
+                dataType: 'binary',
+                xhrFields: {responseType: 'arraybuffer'},
+                success: arrayBuffer => {
+                    try {
+                        let performance = GmnxPerformanceData.fromMidi(this, arrayBuffer);
+                        performance.prepare();
+                        this.performances.push(performance);
+                        resolve(performance);
+                    }
+                    catch (e) {
+                        fail(e);
+                    }
+                },
+                error: reason => fail(reason)
             });
         });
     }
 
-    // Parse all tempos in a given performance.
+    // Parse all tempos in a given performance. A tempo with ramp="linear" changes gradually
+    // from its own value to that of the next tempo, as in an accelerando or ritardando.
     parseTempos(perfElement, performance) {
         $(perfElement).find('performance-tempo').each((index, pt) => {
             let start = Number.parseFloat($(pt).attr('start')) || 0.0;
             let beat = MnxUtils.parseNoteValueQuantity($(pt).attr('beat'));
-            let bpm = Number.parseInt($(pt).attr('bpm'));
-            performance.addTempo(start, (60 / bpm) / beat.toNumber());
+            let bpm = Number.parseFloat($(pt).attr('bpm'));
+            let ramp = $(pt).attr('ramp') == 'linear';
+            performance.addTempo(start, (60 / bpm) / beat.toNumber(), ramp, $(pt).attr('beat'), bpm);
         });
     }
 
@@ -554,39 +3914,215 @@ class GmnxViewer {
             let region = $(pr).attr('region');
             let cursorStart = $(pr).attr('cursor-start');
             let cursorEnd = $(pr).attr('cursor-end');
-            performance.addRegion(start, end, view, region, cursorStart, cursorEnd);
+            let properties = {highlight: $(pr).attr('highlight')};
+            if ($(pr).attr('rect')) {
+                properties.rect = MnxUtils.parseRect($(pr).attr('rect'));
+            }
+            if ($(pr).attr('points')) {
+                properties.points = MnxUtils.parsePoints($(pr).attr('points'));
+            }
+
+            // A cursor path is either a reference to an SVG element, such as "#path1", or a list
+            // of polylines separated by semicolons, such as "0,0 10,20 20,0; 0,30 20,30".
+            let cursorPath = $(pr).attr('cursor-path');
+            if (cursorPath) {
+                properties.cursorPath = cursorPath.trim().startsWith('#')
+                    ? cursorPath.trim().substring(1) : MnxUtils.parsePolylines(cursorPath);
+            }
+            if ($(pr).attr('cursor-shape')) {
+                properties.cursorShape = $(pr).attr('cursor-shape');
+            }
+            if ($(pr).attr('cursor-size')) {
+                properties.cursorSize = Number.parseFloat($(pr).attr('cursor-size'));
+            }
+
+            // Waypoints are written as time:position pairs, where the position is the fraction
+            // of the way from the cursor's start to its end. An empty list disables waypoints
+            // derived from performance events.
+            if ($(pr).attr('cursor-waypoints') !== undefined) {
+                properties.waypoints = $(pr).attr('cursor-waypoints').split(/\s+/).filter(pair => pair).map(pair => {
+                    let values = pair.split(':').map(Number.parseFloat);
+                    return {time: values[0], position: values[1]};
+                });
+            }
+            performance.addRegion(start, end, view, region, cursorStart, cursorEnd, properties);
+        });
+    }
+
+    // Parse the parts of an <mnx-common> score accompanying the generic one, recording the
+    // ID, name and instrument sound of each.
+    parseCommonParts(mnx) {
+        this.commonParts = [];
+        $(mnx).find('mnx-common').first().children('part').each((index, part) => {
+            this.commonParts.push({
+                id: $(part).attr('id'),
+                name: $(part).children('part-name').text() || undefined,
+                sound: $(part).children('instrument-sound').text() || undefined
+            });
+        });
+    }
+
+    // Fill in the name and instrument sound of a performance part from the corresponding part
+    // in the <mnx-common> score. A performance part refers to a common part by having the same ID.
+    // Failing that, the performance part at a given index corresponds to the common part at the
+    // same index in the score, and any additional performance parts (as for the separate staves
+    // of a piano) correspond to the last common part.
+    matchCommonPart(part, index) {
+        let commonPart = (!part.generatedId && this.commonParts.find(cp => cp.id && cp.id == part.id))
+            || this.commonParts[Math.min(index, this.commonParts.length - 1)];
+        if (commonPart) {
+            // A name taken from the common part is not exported with the performance part.
+            if (!part.name && commonPart.name) {
+                part.name = commonPart.name;
+                part.generatedName = true;
+            }
+            part.sound = commonPart.sound;
+        }
+    }
+
+    // Parse a set of performance events, adding them to a given part of a performance.
+    parseEvents(eventElements, performance, part) {
+        eventElements.each((index, pe) => {
+            let start = Number.parseFloat($(pe).attr('start'));
+            let frequency = Number.parseFloat($(pe).attr('pitch'));
+            let duration = Number.parseFloat($(pe).attr('duration'));
+            let dynamics = Number.parseFloat($(pe).attr('dynamics'));
+            let view = this.views.get($(pe).attr('view'));
+            let graphics = $(pe).attr('graphics');
+            if (graphics) {
+              graphics = graphics.split(/\s+/);
+            }
+            performance.addEvent(start, frequency, duration, dynamics, view, graphics, $(pe).attr('id'), part);
+        });
+    }
+
+    // Return the loaded content, including any changes made since, as a GMNX XML string. By default
+    // this is an <mnx-generic> element holding all views and performances, in the order in which
+    // they were loaded, followed by any others in the order views, then performances. With the
+    // option {document: true}, it is instead the entire loaded document, with its <mnx-generic>
+    // element replaced, and preceded by its XML declaration if it was loaded from XML text with
+    // one. Comments within the loaded <mnx-generic> element are kept (see copyComments).
+    toXML(options) {
+        let writer = new GmnxXmlWriter();
+        let children = MnxUtils.inSourceOrder(Array.from(this.views.values()).concat(this.performances))
+            .map(item => item.serialize(writer));
+        let gmnx = writer.element('mnx-generic', {}, children);
+        let original = this.sourceXml && $(this.sourceXml).find('mnx-generic')[0];
+        if (original) {
+            this.copyComments(original, gmnx, writer);
+        }
+
+        if (options && options.document && original) {
+            let doc = this.sourceXml.cloneNode(true);
+            let copy = $(doc).find('mnx-generic')[0];
+            let depth = $(copy).parents().length;
+            writer.indent(gmnx, depth);
+            copy.parentNode.replaceChild(doc.importNode(gmnx, true), copy);
+            let declaration = this.sourceDeclaration ? this.sourceDeclaration + '\n' : '';
+            return declaration + new XMLSerializer().serializeToString(doc);
+        }
+        return writer.toString(gmnx);
+    }
+
+    // Copy the comments within a loaded element into its serialization. Each comment is placed
+    // before the counterpart of the element that followed it when loaded, which is the element
+    // of the same name at the same position among its siblings of that name, or else at the
+    // end. The content of inline SVG, which is copied as it is, is not searched.
+    copyComments(source, target, writer) {
+        let counterpart = (element, parent) => {
+            let named = (node, name) => Array.from(node.childNodes).filter(child => child.nodeName == name);
+            return named(parent, element.nodeName)[named(element.parentNode, element.nodeName).indexOf(element)];
+        };
+        Array.from(source.childNodes).forEach(node => {
+            if (node.nodeType == 8) {
+                let next = node.nextSibling;
+                while (next && next.nodeType != 1) {
+                    next = next.nextSibling;
+                }
+                let before = next && counterpart(next, target);
+                target.insertBefore(writer.doc.createComment(node.nodeValue), before || null);
+            }
+            else if (node.nodeType == 1 && node.nodeName != 'svg') {
+                let element = counterpart(node, target);
+                if (element) {
+                    this.copyComments(node, element, writer);
+                }
+            }
         });
     }
 
+    // Parse GMNX content, given as an XML document or as XML text, returning a Promise that
+    // resolves when everything it refers to has been loaded.
     parse(xml) {
+        this.sourceDeclaration = undefined;
+        if (typeof xml == 'string') {
+            let declaration = xml.match(/^\uFEFF?\s*(<\?xml[^>]*\?>)/);
+            xml = $.parseXML(xml);
+            this.sourceDeclaration = declaration ? declaration[1] : undefined;
+        }
+        this.sourceXml = xml;
+        // Discard any views from previously loaded content.
+        $(this.element).empty();
         this.views = new Map();
+        this.clickableRegions = new Set();
+        this.currentView = undefined;
+        this.semanticGraphics = new Map();
+        this.graphicSemantics = new Map();
 
         // HACK: we just find the first <mnx-generic> element in the file and parse it.
         let gmnx = $(xml).find('mnx-generic').first();
+        this.parseCommonParts(xml);
         let promises = [];
 
+        // Load any samples to be played by instruments.
+        let samples = this.options.samples || {};
+        Object.keys(samples).forEach(key => {
+            promises.push(this.loadSamples(key, samples[key]));
+        });
+
         // Parse each <score-view> element.
         let scoreViews = gmnx.find('score-view');
         scoreViews.each((index, sv) => {
             // Construct a GmnxView for this view and put it in our map of views.
-            let view = new GmnxView(this.element);
-            this.views.set($(sv).attr('id'), view);
+            let view = new GmnxView(this.element, $(sv).attr('id'));
+            view.sourceElement = sv;
+            this.views.set(view.id, view);
+            if (this.options.css) {
+                view.addStyleSheet(this.options.css);
+            }
+            view.sizing = this.options.sizing;
+            if (this.zoom || this.options.zoom) {
+                view.setZoom(this.zoom || this.options.zoom);
+            }
+            if (this.options.gestures) {
+                view.enableGestures();
+            }
+
+            // Initially only the first view is displayed in a paged layout.
+            if (!this.currentView) {
+                this.currentView = view;
+            }
+            else if (this.layout != 'strip') {
+                view.setVisible(false);
+            }
+
+            // Process the semantic score mappings for this view. Both attributes may list
+            // several IDs separated by whitespace.
+            $(sv).find('score-mapping').each((index, sm) => {
+                let graphics = ($(sm).attr('graphics') || '').split(/\s+/).filter(id => id);
+                let semantics = ($(sm).attr('semantics') || '').split(/\s+/).filter(id => id);
+                this.addScoreMapping(view, graphics, semantics);
+            });
 
             // Load the contents of the view if not inline, and add to our list of promises
             // relating to loading.
             let viewUrl = $(sv).attr('view');
             if (viewUrl) {
-                let viewPromise = view.display(this.base + viewUrl);
-                viewPromise.then(() => {
-                   $(sv).find('score-mapping').each((index, sm) => {
-                      // TODO: process semantic score mappings here                  
-                   });
-                })
-                promises.push(viewPromise);
+                promises.push(view.display(viewUrl, this.base));
             }
             else {
                 // SVG is inline, just load it immediately as a string.
-                view.load(new XMLSerializer().serializeToString($(sv).find('svg')[0]));
+                view.loadInline($(sv).find('svg')[0]);
             }
         });
 
@@ -595,37 +4131,43 @@ class GmnxViewer {
         this.performances = [];
         scoreData.each((index, pd) => {
             let perfdata = new GmnxPerformanceData(this);
+            perfdata.sourceElement = pd;
             this.performances.push(perfdata);
 
+            perfdata.highlight = $(pd).attr('highlight');
             this.parseTempos(pd, perfdata);
             this.parseRegions(pd, perfdata);
 
-            // Process performance events. Note that parts are completely ignored at the moment.
-            $(pd).find('performance-event').each((index, pe) => {
-                let start = Number.parseFloat($(pe).attr('start'));
-                let frequency = Number.parseFloat($(pe).attr('pitch'));
-                let duration = Number.parseFloat($(pe).attr('duration'));
-                let dynamics = Number.parseFloat($(pe).attr('dynamics'));
-                let view = this.views.get($(pe).attr('view'));
-                let graphics = $(pe).attr('graphics');
-                if (graphics) {
-                  graphics = graphics.split(/\s+/);
-                }
-                perfdata.addEvent(start, frequency, duration, dynamics, view, graphics);
+            // Process performance parts and their events. Any events outside a part are
+            // placed in a default part.
+            $(pd).find('performance-part').each((index, pp) => {
+                let part = perfdata.addPart($(pp).attr('id'), $(pp).attr('name'));
+                part.sourceElement = pp;
+                this.matchCommonPart(part, index);
+                this.parseEvents($(pp).find('performance-event'), perfdata, part);
             });
+            let looseEvents = $(pd).find('performance-event').filter((index, pe) => {
+                return $(pe).closest('performance-part').length == 0;
+            });
+            this.parseEvents(looseEvents, perfdata);
+            if (perfdata.defaultPart) {
+                perfdata.defaultPart.sourceElement = looseEvents[0];
+            }
         });
 
         let scoreAudio = gmnx.find('performance-audio');
         scoreAudio.each((index, pa) => {
             let perfaudio = new GmnxPerformanceAudio(this);
+            perfaudio.sourceElement = pa;
             this.performances.push(perfaudio);
 
+            perfaudio.highlight = $(pa).attr('highlight');
             this.parseTempos(pa, perfaudio);
             this.parseRegions(pa, perfaudio);
 
             // Process performance media. It's assumed that there's only one.
             let media = $(pa).find('performance-audio-media').first();
-            promises.push(perfaudio.addMedia(this.base + $(media).attr('src')));
+            promises.push(perfaudio.addMedia($(media).attr('src'), this.base));
         });
 
         // Return a Promise that resolves when everything has been loaded.
@@ -635,6 +4177,7 @@ class GmnxViewer {
         // their SVG is present.
         bigPromise.then(() => {
             this.performances.forEach(perf => perf.prepare());
+            this.attachRegionClicks();
         });
 
         return bigPromise;